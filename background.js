@@ -1,5 +1,9 @@
 // This is the extension's background script.
 
+// The YouTube URL classifier, shared with the content script and
+//  the popups.
+importScripts('youtube-url.js');
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "getTabs") {
     chrome.tabs.query({ currentWindow: true }, (tabs) => {
@@ -15,23 +19,25 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   setPopupBasedOnURL(tab.url);
 });
 
-// Set the popup based on the active tabs URL.
+// Set the popup based on the active tabs URL.  YouTube moves
+//  between pages without reloading, so a changed URL counts too.
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete') {
+  if (changeInfo.status === 'complete' || changeInfo.url) {
     setPopupBasedOnURL(tab.url);
   }
 });
 
 /**
- * This function uses a different popup for YouTube and
- *  everything else.
+ * This function uses a different popup for YouTube videos and
+ *  everything else, including the YouTube pages that are not
+ *  a single video.
  *
  * @param {String} url - The tab's URL.
  */
 function setPopupBasedOnURL(url) {
   let popupUrl = 'popup.html';  // default popup
 
-  if (url.includes('youtube.com')) {
+  if (isYouTubeVideoUrl(url)) {
     popupUrl = 'youtube-popup.html';
   } else {
     popupUrl = 'popup.html';
@@ -0,0 +1,427 @@
+// This file contains the caption track strategy for grabbing a
+//  YouTube transcript.  Instead of opening the transcript panel
+//  and scraping it, it reads the list of caption tracks from the
+//  page's player response data and downloads the chosen track in
+//  YouTube's "timedtext" format.
+//
+// It is loaded as a content script before content.js, which falls
+//  back to scraping the transcript panel when this strategy fails.
+//  The parsing functions are pure, so they can be run against
+//  saved player response and timedtext payloads.
+
+// The kinds of caption track: automatically generated (speech
+//  recognition) captions, and captions uploaded by the channel.
+const CAPTION_TRACK_KIND_ASR = 'asr';
+const CAPTION_TRACK_KIND_MANUAL = 'manual';
+
+// The marker of the player response object in the watch page HTML.
+const PLAYER_RESPONSE_MARKER = 'ytInitialPlayerResponse';
+
+/**
+ * Formats an offset in seconds as a transcript timestamp, the
+ *  same way the transcript panel shows it, like "4:05" or
+ *  "1:02:03".
+ *
+ * @param {Number} offsetInSeconds - The offset in whole seconds.
+ *
+ * @return {String}
+ */
+function formatTranscriptTimestamp(offsetInSeconds) {
+  const hours = Math.floor(offsetInSeconds / 3600);
+  const minutes = Math.floor((offsetInSeconds % 3600) / 60);
+  const seconds = String(offsetInSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+}
+
+/**
+ * Decodes the XML and HTML character references in a string.
+ *  Older timedtext payloads escape their text twice, so the
+ *  references are decoded until none are left.
+ *
+ * @param {String} text - The text to decode.
+ *
+ * @return {String}
+ */
+function decodeXmlEntities(text) {
+  const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  const entityPattern = '&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos|nbsp);';
+  let decoded = text;
+
+  for (let pass = 0; pass < 3 && new RegExp(entityPattern, 'i').test(decoded); pass++) {
+    decoded = decoded.replace(new RegExp(entityPattern, 'gi'), (match, entity) => {
+      if (entity[0] === '#') {
+        const codePoint = entity[1].toLowerCase() === 'x'
+            ? parseInt(entity.substring(2), 16)
+            : parseInt(entity.substring(1), 10);
+
+        return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+      }
+
+      return namedEntities[entity.toLowerCase()];
+    });
+  }
+
+  return decoded;
+}
+
+/**
+ * Finds the JSON object literal that follows a marker in a block
+ *  of text, like the "ytInitialPlayerResponse = {...};" statement
+ *  in the watch page HTML, and parses it.
+ *
+ * @param {String} text - The text to search.
+ * @param {String} marker - The text that comes before the object.
+ *
+ * @return {Object|null} The parsed object, or NULL if there is no
+ *  valid object after the marker.
+ */
+function extractJsonObjectAfterMarker(text, marker) {
+  const markerNdx = text.indexOf(marker);
+
+  if (markerNdx < 0)
+    return null;
+
+  const startNdx = text.indexOf('{', markerNdx + marker.length);
+
+  if (startNdx < 0)
+    return null;
+
+  // Find the matching closing brace, skipping over the braces
+  //  inside string literals.
+  let depth = 0;
+  let bInString = false;
+
+  for (let ndx = startNdx; ndx < text.length; ndx++) {
+    const char = text[ndx];
+
+    if (bInString) {
+      if (char === '\\')
+        ndx++;
+      else if (char === '"')
+        bInString = false;
+    } else if (char === '"') {
+      bInString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.substring(startNdx, ndx + 1));
+        } catch (err) {
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gets the text of a YouTube "text" object, which holds either a
+ *  simpleText string or an array of runs.
+ *
+ * @param {Object} textObj - The text object.
+ *
+ * @return {String}
+ */
+function getYouTubeTextObjectText(textObj) {
+  if (!textObj)
+    return '';
+  if (typeof textObj.simpleText === 'string')
+    return textObj.simpleText;
+  if (Array.isArray(textObj.runs))
+    return textObj.runs.map(run => run.text || '').join('');
+
+  return '';
+}
+
+/**
+ * Gets the list of caption tracks from a player response object.
+ *
+ * @param {Object} playerResponse - The player response object.
+ *
+ * @return {Object[]} One { trackId, baseUrl, languageCode,
+ *  languageName, kind } object per caption track, where kind is
+ *  CAPTION_TRACK_KIND_ASR for automatically generated captions and
+ *  CAPTION_TRACK_KIND_MANUAL otherwise.  Empty if the video has no
+ *  captions.
+ */
+function getCaptionTracksFromPlayerResponse(playerResponse) {
+  const aryRawTracks =
+      playerResponse
+      && playerResponse.captions
+      && playerResponse.captions.playerCaptionsTracklistRenderer
+      && playerResponse.captions.playerCaptionsTracklistRenderer.captionTracks;
+
+  if (!Array.isArray(aryRawTracks))
+    return [];
+
+  return aryRawTracks
+      .filter(rawTrack => typeof rawTrack.baseUrl === 'string' && rawTrack.baseUrl.length > 0)
+      .map(rawTrack => {
+        const languageCode = rawTrack.languageCode || '';
+        const kind = rawTrack.kind === CAPTION_TRACK_KIND_ASR ? CAPTION_TRACK_KIND_ASR : CAPTION_TRACK_KIND_MANUAL;
+
+        return {
+          // The vssId, like ".en" or "a.en", tells apart the tracks
+          //  of a video that share a language.
+          trackId: rawTrack.vssId || `${kind}.${languageCode}`,
+          baseUrl: rawTrack.baseUrl,
+          languageCode: languageCode,
+          languageName: getYouTubeTextObjectText(rawTrack.name) || languageCode,
+          kind: kind
+        };
+      });
+}
+
+/**
+ * Returns TRUE if a caption track language matches a preferred
+ *  language.  A preferred language without a region, like "en",
+ *  matches all of its regions, like "en-US" and "en-GB".
+ *
+ * @param {String} languageCode - The language of the track.
+ * @param {String} preferredLanguageCode - The preferred language.
+ *
+ * @return {Boolean}
+ */
+function isCaptionLanguageMatch(languageCode, preferredLanguageCode) {
+  const trackLanguage = languageCode.toLowerCase();
+  const preferredLanguage = preferredLanguageCode.toLowerCase();
+
+  return trackLanguage === preferredLanguage
+      || (!preferredLanguage.includes('-') && trackLanguage.split('-')[0] === preferredLanguage);
+}
+
+/**
+ * Picks the caption track to use when the user has not chosen
+ *  one.  The preferred languages are tried in order, and within a
+ *  language the preferred kind of track wins.  If no track is in
+ *  a preferred language, the first track of the preferred kind is
+ *  used, or else the first track.
+ *
+ * @param {Object[]} aryCaptionTracks - The caption tracks.
+ * @param {String[]} [aryLanguageCodes] - The preferred languages,
+ *  most preferred first.
+ * @param {String} [preferredKind] - CAPTION_TRACK_KIND_MANUAL or
+ *  CAPTION_TRACK_KIND_ASR.
+ *
+ * @return {Object|null}
+ */
+function chooseCaptionTrack(aryCaptionTracks, aryLanguageCodes = [], preferredKind = CAPTION_TRACK_KIND_MANUAL) {
+  const findPreferredKind = (aryTracks) =>
+      aryTracks.find(track => track.kind === preferredKind) || aryTracks[0] || null;
+
+  for (const languageCode of aryLanguageCodes) {
+    const aryLanguageTracks =
+        aryCaptionTracks.filter(track => isCaptionLanguageMatch(track.languageCode, languageCode));
+
+    if (aryLanguageTracks.length > 0)
+      return findPreferredKind(aryLanguageTracks);
+  }
+
+  return findPreferredKind(aryCaptionTracks);
+}
+
+/**
+ * Builds a raw transcript line object, in the same form as the
+ *  ones getAllTranscriptTextAndTimes() scrapes from the
+ *  transcript panel.
+ *
+ * @param {String} text - The text of the line.
+ * @param {Number} startSeconds - The start of the line in seconds.
+ *
+ * @return {{transcriptText: String, timestampString: String, offsetInSeconds: Number}}
+ */
+function buildRawTranscriptLine(text, startSeconds) {
+  const offsetInSeconds = Math.max(0, Math.floor(startSeconds));
+
+  return {
+    transcriptText: text,
+    timestampString: formatTranscriptTimestamp(offsetInSeconds),
+    offsetInSeconds: offsetInSeconds
+  };
+}
+
+/**
+ * Parses a timedtext payload in the "json3" format.
+ *
+ * @param {Object} timedTextObj - The parsed JSON payload.
+ *
+ * @return {Object[]} The raw transcript line objects.
+ */
+function parseTimedTextJson(timedTextObj) {
+  const aryEvents = timedTextObj && Array.isArray(timedTextObj.events) ? timedTextObj.events : [];
+  const aryLines = [];
+
+  aryEvents.forEach(event => {
+    // Events without segments only position or style the captions.
+    if (!Array.isArray(event.segs))
+      return;
+
+    const text = event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim();
+
+    if (text.length > 0)
+      aryLines.push(buildRawTranscriptLine(text, (event.tStartMs || 0) / 1000));
+  });
+
+  return aryLines;
+}
+
+/**
+ * Parses a timedtext payload in one of the XML formats: the
+ *  original format, with <text start="1.5" dur="2.0"> elements
+ *  in seconds, or the "srv3" format, with <p t="1500" d="2000">
+ *  elements in milliseconds.
+ *
+ * @param {String} xmlText - The XML payload.
+ *
+ * @return {Object[]} The raw transcript line objects.
+ */
+function parseTimedTextXml(xmlText) {
+  const aryLines = [];
+  const elementRegex = /<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let match;
+
+  while ((match = elementRegex.exec(xmlText)) !== null) {
+    const tagName = match[1];
+    const attributes = match[2];
+    const startMatch = tagName === 'text'
+        ? /\bstart="([\d.]+)"/.exec(attributes)
+        : /\bt="(\d+)"/.exec(attributes);
+
+    if (!startMatch)
+      continue;
+
+    const startSeconds = tagName === 'text' ? parseFloat(startMatch[1]) : parseInt(startMatch[1], 10) / 1000;
+
+    // Word level <s> elements and <br/> tags inside the line are
+    //  dropped, keeping their text.
+    const text = decodeXmlEntities(match[3].replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (text.length > 0)
+      aryLines.push(buildRawTranscriptLine(text, startSeconds));
+  }
+
+  return aryLines;
+}
+
+/**
+ * Parses a timedtext payload, in either the JSON or one of the XML
+ *  formats.
+ *
+ * @param {String} payloadText - The payload.
+ *
+ * @return {Object[]} The raw transcript line objects.
+ *
+ * @throws {Error} If the payload is empty or cannot be parsed.
+ */
+function parseTimedText(payloadText) {
+  const errPrefix = '(parseTimedText) ';
+
+  if (typeof payloadText !== 'string' || payloadText.trim().length === 0)
+    throw new Error(`${errPrefix}The timedtext payload is empty.`);
+
+  const trimmedPayload = payloadText.trim();
+
+  if (trimmedPayload.startsWith('{')) {
+    let timedTextObj;
+
+    try {
+      timedTextObj = JSON.parse(trimmedPayload);
+    } catch (err) {
+      throw new Error(`${errPrefix}The timedtext payload is not valid JSON: ${err.message}`);
+    }
+
+    return parseTimedTextJson(timedTextObj);
+  }
+
+  if (trimmedPayload.startsWith('<'))
+    return parseTimedTextXml(trimmedPayload);
+
+  throw new Error(`${errPrefix}The timedtext payload is in an unknown format.`);
+}
+
+/**
+ * Gets the player response object for a video.  The response in
+ *  the page's own scripts is only used if it belongs to the video,
+ *  since it goes stale when YouTube navigates between videos
+ *  without reloading the page.  Otherwise the watch page is
+ *  fetched again.
+ *
+ * @param {String} videoId - The ID of the video.
+ *
+ * @return {Promise<Object>}
+ *
+ * @throws {Error} If no player response for the video is found.
+ */
+async function fetchPlayerResponse_async(videoId) {
+  const errPrefix = '(fetchPlayerResponse_async) ';
+
+  const isForVideo = (playerResponse) =>
+      playerResponse && playerResponse.videoDetails && playerResponse.videoDetails.videoId === videoId;
+
+  for (const scriptElement of document.querySelectorAll('script')) {
+    if (scriptElement.textContent.includes(PLAYER_RESPONSE_MARKER)) {
+      const playerResponse = extractJsonObjectAfterMarker(scriptElement.textContent, PLAYER_RESPONSE_MARKER);
+
+      if (isForVideo(playerResponse))
+        return playerResponse;
+    }
+  }
+
+  // The watch page is fetched from the site the page is on, like
+  //  m.youtube.com, since a content script's requests to other
+  //  sites are blocked.
+  const origin = ['www.youtube.com', 'm.youtube.com', 'youtube.com'].includes(location.hostname)
+      ? location.origin
+      : 'https://www.youtube.com';
+  const response = await fetch(`${origin}/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+
+  if (!response.ok)
+    throw new Error(`${errPrefix}Unable to fetch the watch page.  Status: ${response.status}`);
+
+  const playerResponse = extractJsonObjectAfterMarker(await response.text(), PLAYER_RESPONSE_MARKER);
+
+  if (!isForVideo(playerResponse))
+    throw new Error(`${errPrefix}Unable to find the player response for video: ${videoId}`);
+
+  return playerResponse;
+}
+
+/**
+ * Downloads and parses a caption track.  The JSON format is
+ *  requested, but the parser also accepts the XML formats in case
+ *  the server ignores the request.
+ *
+ * @param {Object} captionTrack - The caption track.
+ *
+ * @return {Promise<Object[]>} The raw transcript line objects.
+ *
+ * @throws {Error} If the track cannot be downloaded or is empty.
+ */
+async function fetchCaptionTrackLines_async(captionTrack) {
+  const errPrefix = '(fetchCaptionTrackLines_async) ';
+
+  const url = new URL(captionTrack.baseUrl, location.origin);
+  url.searchParams.set('fmt', 'json3');
+
+  const response = await fetch(url.toString(), { credentials: 'include' });
+
+  if (!response.ok)
+    throw new Error(`${errPrefix}Unable to download the caption track.  Status: ${response.status}`);
+
+  const aryLines = parseTimedText(await response.text());
+
+  if (aryLines.length === 0)
+    throw new Error(`${errPrefix}The caption track has no lines.`);
+
+  return aryLines;
+}
@@ -177,145 +177,13 @@ function insertHtmlAsFirstChildById(parentElementId, htmlBlock) {
   }
 }
 
-// -------------------- BEGIN: GUESS THE MAIN CONTENT AREA ------------
-
-/**
- * Attempts to get an extended bounding client rect for a DOM element,
- * considering overflow, transformations, and other factors that might
- * affect the true visible size of the element.
- *
- * @param {Element} domElement - The DOM element to measure.
- * @return {DOMRect} An object similar to what getBoundingClientRect() returns but
- *         potentially adjusted to account for visible overflow, transformations, etc.
- */
-function getBoundingClientRectExtended(domElement) {
-  const errPrefix = `(getBoundingClientRectExtended) `;
-
-  if (!(domElement instanceof HTMLElement))
-    throw new Error(`${errPrefix}The value in the domElement parameter is not a HTMLElement object.`);
-
-  const rect = domElement.getBoundingClientRect();
-  let extendedRect = { ...rect };
-
-  // Initialize variables to track the furthest extents of children
-  let maxX = rect.right;
-  let maxY = rect.bottom;
-
-  // Recursive function to walk through all children and adjust based on their bounding boxes
-  const adjustForChildren = (element) => {
-    Array.from(element.children).forEach(child => {
-      const childRect = child.getBoundingClientRect();
-
-      // Check for visible overflow or positioning that might extend beyond the parent
-      if (childRect.right > maxX) maxX = childRect.right;
-      if (childRect.bottom > maxY) maxY = childRect.bottom;
-
-      // Recursive call to walk through all descendants
-      adjustForChildren(child);
-    });
-  };
-
-  adjustForChildren(domElement);
-
-  // Adjust the width and height based on the furthest extents found
-  extendedRect.width = maxX - rect.left;
-  extendedRect.height = maxY - rect.top;
-
-  // Create a new DOMRect object for consistency with getBoundingClientRect
-  return new DOMRect(rect.left, rect.top, extendedRect.width, extendedRect.height);
-}
-
-/**
- * A simple heuristic function to determine if an element is likely to be
- * part of the non-main content (e.g., header, footer, sidebar).
- *
- * @param {Element} el The element to check.
- * @return {boolean} True if the element is likely a non-content element,
- *         false otherwise.
- */
-function isLikelyNonContent(el) {
-  const nonContentKeywords = ['header', 'footer', 'sidebar', 'nav', 'menu', 'advertisement'];
-  const idAndClass = (el.id + ' ' + el.className).toLowerCase();
-
-  return nonContentKeywords.some(keyword => idAndClass.includes(keyword));
-}
-
-/**
- * Attempts to find the main content area of a web page by identifying the
- * largest block-level element. It considers elements like DIV, TABLE,
- * SECTION, ARTICLE, and MAIN, defaulting to the BODY tag if no suitable
- * candidate is found.
- *
- * The heuristic is based on the size (area) of these elements, aiming to
- * ignore common layout elements such as headers, footers, and sidebars.
- * Additionally, this function checks for an element with the ID "viewport"
- * and considers it if its dimensions are larger.  If it can't find
- * an element with ID "viewport", it tries again for an element
- * with ID "content".
- *
- * @return {Element} The DOM element that is likely to represent the main
- *         content area of the page.
- */
-function findMainContentArea() {
-  const errPrefix = `(findMainContentArea) `;
-
-  const tagsToConsider = ['DIV', 'TABLE', 'SECTION', 'ARTICLE', 'MAIN'];
-  let largestElement = document.body; // Default to the body
-  let largestArea = 0;
-
-  let mainContainerElementId = 'viewport';
-
-  // We use certain page specific rules to override
-  //  the "guess" code below for pages we know about.
-  // Additional check for an element with the specific
-  //  ID of "viewport".
-  let mainContainerElement = document.getElementById(mainContainerElementId);
-
-  if (!mainContainerElement) {
-    console.info(`${errPrefix}Unable to find a DIV with element ID: ${mainContainerElementId}`);
-
-    mainContainerElementId = 'content';
-    document.getElementById(mainContainerElementId);
-  }
-
-  if (mainContainerElement) {
-    console.info(`${errPrefix}Successfully located main container element using element ID: ${mainContainerElementId}`);
-
-    const rect = getBoundingClientRectExtended(mainContainerElement);
-    const viewportArea = rect.width * rect.height;
-    if (viewportArea > largestArea) {
-      largestElement = mainContainerElement;
-    }
-
-    return largestElement;
-  }
-
-  tagsToConsider.forEach(tag => {
-    const elements = document.getElementsByTagName(tag);
-    for (let i = 0; i < elements.length; i++) {
-      const el = elements[i];
-      const rect = getBoundingClientRectExtended(el);
-      const area = rect.width * rect.height;
-
-      if (area > largestArea && !isLikelyNonContent(el)) {
-        largestArea = area;
-        largestElement = el;
-      }
-    }
-  });
-
-  return largestElement;
-}
-
-// -------------------- END  : GUESS THE MAIN CONTENT AREA ------------
-
 /**
  * Extracts the YouTube video ID from a given URL.
- * The URL is expected to be in the format
- * "https://www.youtube.com/watch?v=" and the function
- * discards any other URL arguments. It throws an error
- * if the video ID is empty or if the input is not a valid
- * YouTube URL.
+ * Every form of YouTube video URL that classifyYouTubeUrl()
+ * in youtube-url.js knows is accepted: watch, shorts, live
+ * and embed pages, youtu.be links, and the mobile and
+ * YouTube Music sites.  It throws an error if the input is
+ * not the URL of a YouTube video.
  *
  * @param {String} url - The YouTube URL from which to extract
  *                       the video ID.
@@ -335,32 +203,21 @@ function extractYouTubeVideoIdFromUrl(url) {
     );
   }
 
-  try {
-    const urlObj = new URL(url);
-    if (urlObj.hostname !== 'www.youtube.com' &&
-        urlObj.hostname !== 'youtube.com') {
-      throw new Error(
-          `${errPrefix}The URL must be a valid YouTube URL.`
-      );
-    }
+  const youTubeUrlInfo = classifyYouTubeUrl(url);
 
-    const videoId = urlObj.searchParams.get('v');
-    if (!videoId || videoId.trim() === '') {
-      throw new Error(
-          `${errPrefix}The video ID is missing or empty.`
-      );
-    }
+  if (!youTubeUrlInfo.bIsYouTube) {
+    throw new Error(
+        `${errPrefix}The URL must be a valid YouTube URL.`
+    );
+  }
 
-    return videoId.trim();
-  } catch (error) {
-    if (error instanceof TypeError) {
-      throw new Error(
-          `${errPrefix}Invalid URL format.`
-      );
-    } else {
-      throw error;
-    }
+  if (!youTubeUrlInfo.bIsVideoPage) {
+    throw new Error(
+        `${errPrefix}The video ID is missing or empty.`
+    );
   }
+
+  return youTubeUrlInfo.videoId;
 }
 
 /**
@@ -412,12 +269,152 @@ const MAX_EMPTY_CONTIGUOUS_TRANSCRIPT_LINES = 5;
 //  page.
 const ELEMENT_ID_FOR_YOUTUBE_VIDEOS_PAGE_CONTAINER = 'contents';
 
+// These control the wait for the transcript panel to finish
+//  loading its segments.  The transcript is considered complete
+//  once the number of segments has not changed for the stable
+//  window, and we give up once the overall timeout is reached.
+const TRANSCRIPT_POLL_INTERVAL_MS = 250;
+const TRANSCRIPT_STABLE_WINDOW_MS = 2000;
+const TRANSCRIPT_LOAD_TIMEOUT_MS = 30000;
+
+// -------------------- BEGIN: TRANSCRIPT ERRORS ------------
+
+// The reasons a transcript may be unavailable, as reported in the
+//  "reason" field of a TranscriptUnavailableError.
+const TRANSCRIPT_ERROR_NO_VIDEO_ID = 'no-video-id';
+const TRANSCRIPT_ERROR_BUTTON_NOT_FOUND = 'button-not-found';
+const TRANSCRIPT_ERROR_LOAD_TIMEOUT = 'load-timeout';
+const TRANSCRIPT_ERROR_EMPTY = 'empty';
+
+/**
+ * Error thrown when the transcript of the current video cannot be
+ *  grabbed.
+ */
+class TranscriptUnavailableError extends Error {
+  /**
+   * @param {String} reason - One of the TRANSCRIPT_ERROR_ constants.
+   * @param {String} message - The error message.
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'TranscriptUnavailableError';
+
+    /** @property {String} - Why the transcript is unavailable. */
+    this.reason = reason;
+  }
+}
+
+// -------------------- END  : TRANSCRIPT ERRORS ------------
+
 // -------------------- BEGIN: ARIA LABEL CONSTANTS ------------
 
 const ARIA_LABEL_TRANSCRIPT_BUTTON = 'Show transcript';
 
+// The labels of the "Show transcript" button and the "...more"
+//  button that expands the video description, for each YouTube UI
+//  language.  The labels are compared after normalizeUiLabel(),
+//  so case, spacing and the form of the ellipsis do not matter.
+//  The structural selectors below are tried first, so a language
+//  missing from this table only matters when YouTube changes its
+//  page layout.
+const YOUTUBE_UI_LABELS = {
+  en: { transcriptButton: [ARIA_LABEL_TRANSCRIPT_BUTTON], moreButton: ['...more'] },
+  de: { transcriptButton: ['Transkript anzeigen'], moreButton: ['...mehr'] },
+  es: { transcriptButton: ['Mostrar transcripción'], moreButton: ['...más'] },
+  fr: { transcriptButton: ['Afficher la transcription'], moreButton: ['...plus'] },
+  it: { transcriptButton: ['Mostra trascrizione'], moreButton: ['...altro'] },
+  ja: { transcriptButton: ['文字起こしを表示'], moreButton: ['...もっと見る', '...さらに表示'] },
+  ko: { transcriptButton: ['스크립트 표시'], moreButton: ['...더보기'] },
+  nl: { transcriptButton: ['Transcript weergeven'], moreButton: ['...meer'] },
+  pl: { transcriptButton: ['Pokaż transkrypcję'], moreButton: ['...więcej'] },
+  pt: { transcriptButton: ['Mostrar transcrição'], moreButton: ['...mais'] },
+  ru: { transcriptButton: ['Показать текст видео'], moreButton: ['...ещё', '...еще'] }
+};
+
+// The transcript button sits in its own section of the video
+//  description, whatever the UI language.
+const SELECTOR_TRANSCRIPT_BUTTON = 'ytd-video-description-transcript-section-renderer button';
+
+// The "...more" button of the video description.
+const SELECTOR_MORE_BUTTON = 'ytd-text-inline-expander #expand, #description-inline-expander #expand';
+
 // -------------------- END  : ARIA LABEL CONSTANTS ------------
 
+/**
+ * Normalizes a UI label for comparison: lower case, single
+ *  spaces, and "..." for the ellipsis character.
+ *
+ * @param {String} label - The label.
+ *
+ * @return {String}
+ */
+function normalizeUiLabel(label) {
+  return String(label)
+      .replace(/\u2026/g, '...')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLocaleLowerCase();
+}
+
+/**
+ * Returns TRUE if a label is one of the given kind of UI labels
+ *  in any of the languages in YOUTUBE_UI_LABELS.
+ *
+ * @param {String} label - The label to check.
+ * @param {String} labelKind - "transcriptButton" or "moreButton".
+ *
+ * @return {Boolean}
+ */
+function isYouTubeUiLabel(label, labelKind) {
+  if (typeof label !== 'string' || label.length === 0)
+    return false;
+
+  const normalizedLabel = normalizeUiLabel(label);
+
+  return Object.values(YOUTUBE_UI_LABELS).some(uiLabels =>
+      uiLabels[labelKind].some(uiLabel => normalizeUiLabel(uiLabel) === normalizedLabel));
+}
+
+/**
+ * Finds the visible "Show transcript" button, in any UI
+ *  language.  The button is looked for by its place in the
+ *  page first, and then by its label.
+ *
+ * @return {HTMLElement|null} The button, or NULL if there is no
+ *  visible transcript button.
+ */
+function findTranscriptButton() {
+  const structuralButton =
+      Array.from(document.querySelectorAll(SELECTOR_TRANSCRIPT_BUTTON)).find(isElementVisible);
+
+  if (structuralButton)
+    return structuralButton;
+
+  return Array.from(document.querySelectorAll('button')).find(button =>
+      (isYouTubeUiLabel(button.getAttribute('aria-label'), 'transcriptButton')
+          || isYouTubeUiLabel(button.textContent, 'transcriptButton'))
+      && isElementVisible(button)
+  ) || null;
+}
+
+/**
+ * Finds the visible "...more" buttons that expand the video
+ *  description, in any UI language.
+ *
+ * @return {HTMLElement[]|null} The buttons, or NULL if there are
+ *  none.
+ */
+function findMoreButtons() {
+  let aryButtons = Array.from(document.querySelectorAll(SELECTOR_MORE_BUTTON)).filter(isElementVisible);
+
+  if (aryButtons.length === 0) {
+    aryButtons = Array.from(document.querySelectorAll('tp-yt-paper-button')).filter(button =>
+        isYouTubeUiLabel(button.textContent, 'moreButton') && isElementVisible(button));
+  }
+
+  return aryButtons.length > 0 ? aryButtons : null;
+}
+
 /**
  * @function findElementByTagNameAndText
  * @description Finds all elements of a specified tag name that have exact
@@ -591,6 +588,56 @@ async function waitForAWhile(waitTimeMS, waitMsg){
   await new Promise(resolve => setTimeout(resolve, 1000));
 }
 
+/**
+ * Waits until the transcript panel has finished loading its
+ *  segments, which is when the number of segment elements is
+ *  non-zero and has not changed for TRANSCRIPT_STABLE_WINDOW_MS.
+ *  Long videos and slow connections load the segments gradually,
+ *  so a fixed wait can return a partial transcript.
+ *
+ * @param {Function} [funcStatusMessage] - Called with progress
+ *  messages while waiting.
+ *
+ * @return {Promise<Number>} - Resolves to the number of segments.
+ *
+ * @throws {TranscriptUnavailableError} If the segments do not
+ *  settle within TRANSCRIPT_LOAD_TIMEOUT_MS.
+ */
+async function waitForTranscriptSegments(funcStatusMessage) {
+  const startTime = Date.now();
+  let lastCount = -1;
+  let lastChangeTime = startTime;
+
+  while (true) {
+    const now = Date.now();
+    const count = document.querySelectorAll('ytd-transcript-segment-renderer').length;
+
+    if (count !== lastCount) {
+      lastCount = count;
+      lastChangeTime = now;
+
+      if (count > 0 && funcStatusMessage)
+        funcStatusMessage(`Loading the transcript... ${count} lines so far.`);
+    } else if (count > 0 && now - lastChangeTime >= TRANSCRIPT_STABLE_WINDOW_MS) {
+      if (bVerbose_content) {
+        console.info(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, `Transcript loaded with ${count} segments after ${now - startTime} milliseconds.`);
+      }
+
+      return count;
+    }
+
+    if (now - startTime >= TRANSCRIPT_LOAD_TIMEOUT_MS) {
+      throw new TranscriptUnavailableError(
+          count > 0 ? TRANSCRIPT_ERROR_LOAD_TIMEOUT : TRANSCRIPT_ERROR_EMPTY,
+          count > 0
+              ? `The transcript was still loading after ${TRANSCRIPT_LOAD_TIMEOUT_MS / 1000} seconds (${count} lines loaded).`
+              : `The transcript panel did not show any lines within ${TRANSCRIPT_LOAD_TIMEOUT_MS / 1000} seconds.`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, TRANSCRIPT_POLL_INTERVAL_MS));
+  }
+}
+
 /**
  * @function getAllTranscriptTextAndTimes
  * @description Parses the DOM tree to build an array of transcript objects
@@ -704,8 +751,9 @@ function removeChatContainer() {
  * @function showTranscriptDiv
  * @description Locates DOM elements with the tag name
  * "ytd-engagement-panel-section-list-renderer" that have a descendant
- * with an attribute named "aria-label" and the value of that
- * attribute has the lowercased value equal to "show transcript".
+ * with an attribute named "aria-label" whose value is the label of the
+ * "Show transcript" button in any UI language (see YOUTUBE_UI_LABELS),
+ * or a descendant that is the transcript section of the description.
  * If any such elements are found, sets the "display" style attribute
  * to "block" for each and returns the number of elements that were
  * found. Otherwise, returns null.
@@ -733,8 +781,10 @@ function showTranscriptDiv() {
      * @returns {Boolean} True if a matching node is found, false otherwise.
      */
     const recursiveSearch = (node) => {
-      if (node.getAttribute && node.getAttribute('aria-label') &&
-          node.getAttribute('aria-label').toLowerCase() === 'show transcript') {
+      if (node.getAttribute && isYouTubeUiLabel(node.getAttribute('aria-label'), 'transcriptButton')) {
+        return true;
+      }
+      if (node.tagName === 'YTD-VIDEO-DESCRIPTION-TRANSCRIPT-SECTION-RENDERER') {
         return true;
       }
       for (let i = 0; i < node.children.length; i++) {
@@ -883,10 +933,78 @@ class TranscriptGrabbed {
      */
     this.aryTranscriptLineObjs = [];
 
-    // NOTE: We do not assign any of the other video
-    //  details in this object because the server will
-    //  use the YouTube API to that instead, thereby
-    //  avoiding any unnecessary page parsing.
+    /** @property {String|null} - The language code of the
+     *  caption track the transcript was read from, like "en"
+     *  or "pt-BR".  NULL if the transcript was scraped from
+     *  the transcript panel, whose language is not known.
+     */
+    this.captionLanguageCode = null;
+
+    /** @property {String|null} - The kind of caption track
+     *  the transcript was read from, CAPTION_TRACK_KIND_MANUAL
+     *  or CAPTION_TRACK_KIND_ASR.  NULL if the transcript was
+     *  scraped from the transcript panel.
+     */
+    this.captionTrackKind = null;
+
+    /** @property {Array<Object>} - The caption tracks the
+     *  video has, as { trackId, languageCode, languageName,
+     *  kind } objects, so the user can pick another one.
+     */
+    this.aryCaptionTracks = [];
+
+    // The video details below are read from the watch page,
+    //  since there is no server to look them up with the
+    //  YouTube API.  See video-metadata.js.
+
+    /** @property {String} - The title of the video. */
+    this.videoTitle = '';
+
+    /** @property {String} - The name of the channel that
+     *  published the video.
+     */
+    this.channelName = '';
+
+    /** @property {Number|null} - The length of the video in
+     *  seconds, or NULL if unknown.
+     */
+    this.videoDurationSeconds = null;
+
+    /** @property {String|null} - The date the video was
+     *  published, as "YYYY-MM-DD", or NULL if unknown.
+     */
+    this.publishDate = null;
+
+    /** @property {String} - The description of the video. */
+    this.videoDescription = '';
+
+    /** @property {Array<Object>} - The chapters of the video,
+     *  as { title, startSeconds, timestampString } objects
+     *  in order.  Empty if the video has no chapters.
+     */
+    this.aryChapters = [];
+  }
+
+  /**
+   * Copy the video details from a video metadata object, as
+   *  built by the functions in video-metadata.js.
+   *
+   * @param {Object} videoMetadata - The video metadata.
+   */
+  setVideoMetadata(videoMetadata) {
+    const methodName = 'TranscriptGrabbed' + '::' + `setVideoMetadata`;
+    const errPrefix = '(' + methodName + ') ';
+
+    if (!isNonNullObjectAndNotArray(videoMetadata))
+      throw new Error(`${errPrefix}The value in the videoMetadata parameter is not a valid object.`);
+
+    this.videoTitle = videoMetadata.videoTitle || '';
+    this.channelName = videoMetadata.channelName || '';
+    this.videoDurationSeconds =
+        typeof videoMetadata.videoDurationSeconds === 'number' ? videoMetadata.videoDurationSeconds : null;
+    this.publishDate = videoMetadata.publishDate || null;
+    this.videoDescription = videoMetadata.videoDescription || '';
+    this.aryChapters = Array.isArray(videoMetadata.aryChapters) ? videoMetadata.aryChapters : [];
   }
 
   /**
@@ -975,7 +1093,7 @@ class TranscriptGrabbed {
               //  text on the next line.
               return `${transcriptLineObj.timestampString}\n${transcriptLineObj.transcriptText}\n`;
             }
-        ).join();
+        ).join('');
 
     return rawTranscriptText;
   }
@@ -991,6 +1109,37 @@ class TranscriptGrabbed {
       throw new Error(`${errPrefix}The this.constructorName field is empty or invalid.`);
     if (isEmptySafeString(this.idOfVideo))
       throw new Error(`${errPrefix}The "idOfVideo" field is empty or invalid.`);
+    if (this.captionLanguageCode !== null && isEmptySafeString(this.captionLanguageCode))
+      throw new Error(`${errPrefix}The "captionLanguageCode" field is empty or invalid.`);
+    if (this.captionTrackKind !== null
+        && this.captionTrackKind !== CAPTION_TRACK_KIND_MANUAL
+        && this.captionTrackKind !== CAPTION_TRACK_KIND_ASR)
+      throw new Error(`${errPrefix}The "captionTrackKind" field is invalid: ${this.captionTrackKind}`);
+    if (!Array.isArray(this.aryCaptionTracks))
+      throw new Error(`${errPrefix}The this.aryCaptionTracks field value is not an array.`);
+    if (typeof this.videoTitle !== 'string')
+      throw new Error(`${errPrefix}The "videoTitle" field is not a string.`);
+    if (typeof this.channelName !== 'string')
+      throw new Error(`${errPrefix}The "channelName" field is not a string.`);
+    if (this.videoDurationSeconds !== null
+        && !(typeof this.videoDurationSeconds === 'number' && this.videoDurationSeconds > 0))
+      throw new Error(`${errPrefix}The "videoDurationSeconds" field is invalid: ${this.videoDurationSeconds}`);
+    if (this.publishDate !== null && !/^\d{4}-\d{2}-\d{2}$/.test(this.publishDate))
+      throw new Error(`${errPrefix}The "publishDate" field is invalid: ${this.publishDate}`);
+    if (typeof this.videoDescription !== 'string')
+      throw new Error(`${errPrefix}The "videoDescription" field is not a string.`);
+    if (!Array.isArray(this.aryChapters))
+      throw new Error(`${errPrefix}The this.aryChapters field value is not an array.`);
+
+    const bAllAreChapters = this.aryChapters.every(chapter => {
+      return isNonNullObjectAndNotArray(chapter)
+          && typeof chapter.title === 'string'
+          && Number.isInteger(chapter.startSeconds)
+          && chapter.startSeconds >= 0;
+    });
+
+    if (!bAllAreChapters)
+      throw new Error(`${errPrefix}One or more elements in the aryChapters array is not a valid chapter.`);
 
 
     // -------------------- BEGIN: Thoroughly validate the array of transcript line objects. ------------
@@ -1033,6 +1182,11 @@ TranscriptGrabbed.reconstituteTranscriptGrabbedObj = function(rawTranscriptGrabb
   // -------------------- BEGIN: Copy the simple fields over. ------------
 
   newTranscriptGrabbedObj.idOfVideo = rawTranscriptGrabbed.idOfVideo;
+  newTranscriptGrabbedObj.captionLanguageCode = rawTranscriptGrabbed.captionLanguageCode || null;
+  newTranscriptGrabbedObj.captionTrackKind = rawTranscriptGrabbed.captionTrackKind || null;
+  newTranscriptGrabbedObj.aryCaptionTracks =
+      Array.isArray(rawTranscriptGrabbed.aryCaptionTracks) ? rawTranscriptGrabbed.aryCaptionTracks : [];
+  newTranscriptGrabbedObj.setVideoMetadata(rawTranscriptGrabbed);
 
   // -------------------- END  : Copy the simple fields over. ------------
 
@@ -1065,20 +1219,54 @@ TranscriptGrabbed.reconstituteTranscriptGrabbedObj = function(rawTranscriptGrabb
 
 
 /**
- * This function gets the transcript from a video
- *  page.
+ * This function picks the caption track to download: the
+ *  one the user chose in the popup if the video has it,
+ *  otherwise the best match for the preferred languages
+ *  and kind of track.
  *
- * @return {Promise<TranscriptGrabbed>} - Returns
- *  a fully assembled transcript object that contains
- *  the contents of the video being shown on the
- *  current page.
+ * @param {Object[]} aryCaptionTracks - The caption tracks
+ *  of the video.
+ * @param {Object} captionOptions - The { trackId,
+ *  languageCodes, preferredKind } options sent by the popup.
+ *
+ * @return {Object|null} - Returns the caption track, or
+ *  NULL if the video has none.
  */
-async function getTranscript_async() {
-  const errPrefix = `(getTranscript_async) `;
+function findCaptionTrackToUse(aryCaptionTracks, captionOptions) {
+  if (!isEmptySafeString(captionOptions.trackId)) {
+    const requestedTrack =
+        aryCaptionTracks.find(track => track.trackId === captionOptions.trackId);
+
+    if (requestedTrack)
+      return requestedTrack;
+
+    console.warn(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, `The video has no caption track with ID: ${captionOptions.trackId}`);
+  }
 
+  return chooseCaptionTrack(
+      aryCaptionTracks,
+      Array.isArray(captionOptions.languageCodes) ? captionOptions.languageCodes : [],
+      captionOptions.preferredKind || CAPTION_TRACK_KIND_MANUAL);
+}
+
+/**
+ * This function gets the transcript lines of the video
+ *  by opening the transcript panel on the page and
+ *  scraping it.
+ *
+ * @param {Function} [funcStatusMessage] - Called with
+ *  progress messages while the transcript loads.
+ *
+ * @return {Promise<Object[]>} - Returns the raw
+ *  transcript line objects.
+ *
+ * @throws {TranscriptUnavailableError} If the transcript
+ *  panel cannot be opened or does not finish loading.
+ */
+async function getTranscriptLinesFromPanel_async(funcStatusMessage) {
   // Find the Show Transcript button.
   let transcriptBtn =
-      await findButtonByAriaLabel(ARIA_LABEL_TRANSCRIPT_BUTTON);
+      findTranscriptButton();
 
   if (!transcriptBtn) {
     // -------------------- BEGIN: REMOVE CHAT CONTAINER ------------
@@ -1104,14 +1292,14 @@ async function getTranscript_async() {
 
     // Try to find the Show Transcript button again.
     transcriptBtn =
-        await findButtonByAriaLabel(ARIA_LABEL_TRANSCRIPT_BUTTON);
+        findTranscriptButton();
   }
 
   // We may need to hit the "Show more" button to
   // make it visible first.
   if (!transcriptBtn) {
     const aryExpandoButtons =
-        findElementByTagNameAndText('tp-yt-paper-button', '...more');
+        findMoreButtons();
 
     if (aryExpandoButtons) {
       const operationMsg = `Clicking ALL expando buttons now.`;
@@ -1130,7 +1318,7 @@ async function getTranscript_async() {
 
       // Try to find the show transcript button again.
       transcriptBtn =
-          await findButtonByAriaLabel(ARIA_LABEL_TRANSCRIPT_BUTTON);
+          findTranscriptButton();
 
       if (!transcriptBtn) {
         // -------------------- BEGIN: SHOW HIDDEN ENGAGEMENT PANEl ------------
@@ -1145,19 +1333,17 @@ async function getTranscript_async() {
 
         // Try to find the show transcript button again.
         transcriptBtn =
-            await findButtonByAriaLabel(ARIA_LABEL_TRANSCRIPT_BUTTON);
+            findTranscriptButton();
 
         // -------------------- END  : SHOW HIDDEN ENGAGEMENT PANEl ------------
       }
     } else {
-      throw new Error(`${errPrefix}Unable to find any expando buttons that might be hiding the show transcript button.`);
+      throw new TranscriptUnavailableError(TRANSCRIPT_ERROR_BUTTON_NOT_FOUND, `Unable to find the transcript button, or any expando buttons that might be hiding it.`);
     }
   }
 
-  if (!transcriptBtn) {
-    // alert(`Unable to find a button with aria label: ${ARIA_LABEL_TRANSCRIPT_BUTTON}`);
-    return null;
-  }
+  if (!transcriptBtn)
+    throw new TranscriptUnavailableError(TRANSCRIPT_ERROR_BUTTON_NOT_FOUND, `Unable to find the transcript button.  The video may not have a transcript.`);
 
   // Click the button.
   if (bVerbose_content) {
@@ -1165,34 +1351,134 @@ async function getTranscript_async() {
   }
   transcriptBtn.click();
 
-  // TODO: Actually we should do repeated checks
-  //  to get the count of transcript elements in the
-  //  video transcript window and exit the check
-  //  loop when more then X seconds have gone by
-  //  and the non-zero count has not changed, indicating
-  //  the transcript window has (most likely) finished
+  // Wait until the transcript window has finished
   //  loading its content.
-  await waitForAWhile(1000, 'Waiting for transcript');
+  await waitForTranscriptSegments(funcStatusMessage);
 
   /*
       transcriptText,
       timestampString,
       offsetInSeconds
    */
-  const aryTranscriptObjs = getAllTranscriptTextAndTimes();
+  return getAllTranscriptTextAndTimes();
+}
 
-  // alert(`Transcript of length(${aryTranscriptObjs}) has been copied to the clipboard.`);
+/**
+ * This function gets the transcript from a video
+ *  page.  It first tries to download the video's
+ *  caption track, and only falls back to scraping
+ *  the transcript panel if that fails.
+ *
+ * @param {Function} [funcStatusMessage] - Called with
+ *  progress messages while the transcript loads.
+ * @param {Object} [captionOptions] - The caption track
+ *  to use, as a { trackId, languageCodes, preferredKind }
+ *  object.  The trackId is the track the user picked, if
+ *  any.  Otherwise the track is chosen by the preferred
+ *  languages, most preferred first, and the preferred
+ *  kind of track.
+ *
+ * @return {Promise<TranscriptGrabbed>} - Returns
+ *  a fully assembled transcript object that contains
+ *  the contents of the video being shown on the
+ *  current page.
+ *
+ * @throws {TranscriptUnavailableError} If the transcript
+ *  cannot be grabbed.
+ */
+async function getTranscript_async(funcStatusMessage, captionOptions = {}) {
+  const errPrefix = `(getTranscript_async) `;
+
+  // >>>>> Actual video ID.
+  let videoId = null;
+
+  try {
+    videoId = extractYouTubeVideoIdFromUrl(location.href);
+  } catch (err) {
+    console.warn(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, conformErrorObjectMsg(err));
+  }
+
+  if (isEmptySafeString(videoId))
+    throw new TranscriptUnavailableError(TRANSCRIPT_ERROR_NO_VIDEO_ID, `Unable to find the video ID in the page URL.`);
+
+  // The player response holds both the caption tracks
+  //  and the video details.
+  let playerResponse = null;
+
+  try {
+    playerResponse = await fetchPlayerResponse_async(videoId);
+  } catch (err) {
+    console.warn(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, `Unable to get the player response: ${conformErrorObjectMsg(err)}`);
+  }
+
+  let aryCaptionTracks = [];
+  let captionTrack = null;
+  let aryTranscriptObjs = null;
+
+  try {
+    if (!playerResponse)
+      throw new Error(`${errPrefix}There is no player response to read the caption tracks from.`);
+
+    aryCaptionTracks = getCaptionTracksFromPlayerResponse(playerResponse);
+    captionTrack = findCaptionTrackToUse(aryCaptionTracks, captionOptions);
+
+    if (!captionTrack)
+      throw new Error(`${errPrefix}The player response has no caption tracks.`);
+
+    if (funcStatusMessage)
+      funcStatusMessage(`Downloading the "${captionTrack.languageName}" caption track...`);
+
+    aryTranscriptObjs = await fetchCaptionTrackLines_async(captionTrack);
+  } catch (err) {
+    console.warn(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, `Unable to use the caption tracks, falling back to the transcript panel: ${conformErrorObjectMsg(err)}`);
+    captionTrack = null;
+  }
+
+  if (!aryTranscriptObjs) {
+    if (funcStatusMessage)
+      funcStatusMessage('Opening the transcript panel...');
+
+    aryTranscriptObjs = await getTranscriptLinesFromPanel_async(funcStatusMessage);
+  }
 
   // Build a transcript grabbed object and return it.
   const newTranscriptGrabbedObj =
       new TranscriptGrabbed();
 
-  // >>>>> Actual video ID.
-  const videoId = extractYouTubeVideoIdFromUrl(location.href);
-  if (isEmptySafeString(videoId))
-    throw new Error(`${errPrefix}The videoId variable is empty or invalid.`);
   newTranscriptGrabbedObj.idOfVideo = videoId;
 
+  // >>>>> Caption track
+  //
+  // The track URLs are signed and only of use to this
+  //  page, so they are left out of the track list.
+  if (captionTrack) {
+    newTranscriptGrabbedObj.captionLanguageCode = captionTrack.languageCode || null;
+    newTranscriptGrabbedObj.captionTrackKind = captionTrack.kind;
+  }
+
+  newTranscriptGrabbedObj.aryCaptionTracks = aryCaptionTracks.map(track => ({
+    trackId: track.trackId,
+    languageCode: track.languageCode,
+    languageName: track.languageName,
+    kind: track.kind
+  }));
+
+  // >>>>> Video details
+  newTranscriptGrabbedObj.setVideoMetadata(
+      playerResponse ? getVideoMetadataFromPlayerResponse(playerResponse) : getVideoMetadataFromPage());
+
+  // Videos without chapters in their description may still
+  //  have chapters YouTube generated for them.
+  if (newTranscriptGrabbedObj.aryChapters.length === 0)
+    newTranscriptGrabbedObj.aryChapters = getChaptersFromPage();
+
+  // The video element knows the length to the fraction of a
+  //  second, which times the last subtitle cue better.
+  const videoElement = document.querySelector('#movie_player video') || document.querySelector('video');
+
+  if (videoElement && isFinite(videoElement.duration) && videoElement.duration > 0)
+    newTranscriptGrabbedObj.videoDurationSeconds = videoElement.duration;
+
   // >>>>> Array of transcript lines
   //
   // Convert the array of prototype-less transcript
@@ -1244,12 +1530,44 @@ async function getTranscript_async() {
 // Put it in the text to summarize box.
 // inputTextArea.value = transcriptGrabbedObj.getConcatenatedTextWithoutTimestamps();
 
+/**
+ * Seeks the video on the page to the given offset.
+ *
+ * @param {Number} offsetInSeconds - The offset to seek to.
+ *
+ * @return {Boolean} - TRUE if a video element was found and
+ *  seeked, FALSE if not.
+ */
+function seekVideoToOffset(offsetInSeconds) {
+  const errPrefix = '(seekVideoToOffset) ';
+
+  if (typeof offsetInSeconds !== 'number' || !isFinite(offsetInSeconds) || offsetInSeconds < 0)
+    throw new Error(`${errPrefix}The value in the offsetInSeconds parameter is invalid.`);
+
+  // Prefer the main player's video over any preview videos.
+  const videoElement =
+      document.querySelector('#movie_player video')
+      || document.querySelector('video');
+
+  if (!videoElement) {
+    console.warn(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, `${errPrefix}Unable to find a video element on the page.`);
+    return false;
+  }
+
+  videoElement.currentTime = offsetInSeconds;
+
+  return true;
+}
+
 /**
  * Listener for messages to this content script.
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "extractText") {
     sendResponse({ text: document.body.innerText });
+  } else if (request.action === "seekVideo") {
+    // The YouTube popup asks us to jump to a transcript line.
+    sendResponse({ success: seekVideoToOffset(request.offsetInSeconds) });
   } else {
     console.log(`Unknown action received: ${request.action}`);
   }
@@ -1260,6 +1578,26 @@ chrome.runtime.onConnect.addListener((port) => {
   if (port.name === "popup-content-connection") {
     console.log("Connected to popup");
 
+    // The popup may be closed while a transcript is being grabbed,
+    //  and posting to a disconnected port throws.
+    let bIsPortDisconnected = false;
+
+    port.onDisconnect.addListener(() => {
+      bIsPortDisconnected = true;
+    });
+
+    const postToPopup = (popupMessage) => {
+      if (bIsPortDisconnected)
+        return;
+
+      try {
+        port.postMessage(popupMessage);
+      } catch (err) {
+        bIsPortDisconnected = true;
+        console.warn(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, `Could not post to the popup: ${conformErrorObjectMsg(err)}`);
+      }
+    };
+
     // Start a long-running task upon receiving a "startTask" message
     port.onMessage.addListener((message) => {
       if (message.action === "grabTranscript") {
@@ -1267,18 +1605,36 @@ chrome.runtime.onConnect.addListener((port) => {
         // Grab the current transcript and send it
         //  back to the popup.
         setTimeout(async () => {
-          const grabbedTranscriptObj =
-              await getTranscript_async();
+          try {
+            const grabbedTranscriptObj =
+                await getTranscript_async((statusMsg) => {
+                  postToPopup({ type: "status", text: statusMsg });
+                }, message.captionOptions || {});
+
+            transcriptGrabbedObj = grabbedTranscriptObj;
 
-          if (grabbedTranscriptObj) {
             const transcriptText =
                 grabbedTranscriptObj.getConcatenatedTextWithoutTimestamps();
 
-            // Give the popup the transcript text.
-            port.postMessage({ type: "transcriptGrabbed", text: transcriptText });
-          } else {
-            // Tell the popup we could not grab the transcript.
-            port.postMessage({ type: "transcriptUnavailable", text: "The transcript is unavailable." });
+            // Give the popup the transcript text, and the full
+            //  transcript object, with the video details, for
+            //  its timestamped views.  The video length lets the
+            //  popup time the last subtitle cue.
+            postToPopup({
+              type: "transcriptGrabbed",
+              text: transcriptText,
+              transcript: grabbedTranscriptObj,
+              videoDurationSeconds: grabbedTranscriptObj.videoDurationSeconds
+            });
+          } catch (err) {
+            console.error(CONSOLE_MESSAGE_CATEGORY_CONTENT_SCRIPT, err);
+
+            // Tell the popup we could not grab the transcript, and why.
+            postToPopup({
+              type: "transcriptUnavailable",
+              reason: err instanceof TranscriptUnavailableError ? err.reason : 'error',
+              text: `The transcript is unavailable: ${conformErrorObjectMsg(err)}`
+            });
           }
         });
       }
@@ -0,0 +1,124 @@
+// This file contains the promise based work queue that the tab
+//  extractor popup uses to extract the selected tabs.  It runs a
+//  limited number of extractions at a time, gives up on a tab that
+//  takes too long, and returns the results in the original order
+//  of the tabs, whatever order they finish in.
+
+/**
+ * Error thrown when a queued task does not finish in time.
+ */
+class TaskTimeoutError extends Error {
+  /**
+   * @param {String} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TaskTimeoutError';
+  }
+}
+
+/**
+ * Waits for a promise, but rejects with a TaskTimeoutError if it
+ *  does not settle within the given time.  The promise itself
+ *  keeps running; its late result is ignored.
+ *
+ * @param {Promise} promise - The promise to wait for.
+ * @param {Number} timeoutMs - The time limit, in milliseconds.
+ * @param {String} timeoutMessage - The message of the timeout error.
+ *
+ * @return {Promise}
+ */
+function withTimeout(promise, timeoutMs, timeoutMessage) {
+  let timer;
+
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new TaskTimeoutError(timeoutMessage)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs an asynchronous task for each item, with at most
+ *  "concurrency" tasks running at the same time.  A task that
+ *  fails or times out does not stop the others.
+ *
+ * @param {Array} aryItems - The items to process.
+ * @param {Function} taskFunc - Called with an item, its index and
+ *  an AbortSignal, and returns a promise that resolves to the
+ *  result for the item.  The signal is aborted when the task times
+ *  out, so the task can stop waiting and clean up.
+ * @param {Object} options - The queue options.
+ * @param {Number} options.concurrency - The maximum number of
+ *  tasks running at the same time.
+ * @param {Number} options.timeoutMs - The time limit of each task,
+ *  in milliseconds.
+ * @param {Function} [options.onProgress] - Called after each task
+ *  settles, with a { completed, total, failed, item, error } object.
+ *
+ * @return {Promise<Object[]>} One { item, value, error } object per
+ *  item, in the order of aryItems.  The error property is NULL for
+ *  the items that succeeded.
+ */
+async function runTaskQueue(aryItems, taskFunc, options) {
+  const methodName = 'runTaskQueue';
+  const errPrefix = '(' + methodName + ') ';
+
+  if (!Array.isArray(aryItems))
+    throw new Error(`${errPrefix}The aryItems parameter is not an array.`);
+  if (typeof taskFunc !== 'function')
+    throw new Error(`${errPrefix}The value in the taskFunc parameter is not a function.`);
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1)
+    throw new Error(`${errPrefix}The concurrency option must be an integer greater than zero.`);
+
+  const aryResults = new Array(aryItems.length);
+  const timeoutSeconds = Math.round(options.timeoutMs / 1000);
+  let nextIndex = 0;
+  let numCompleted = 0;
+  let numFailed = 0;
+
+  // Each worker keeps taking the next item until none are left.
+  const runWorker = async () => {
+    while (nextIndex < aryItems.length) {
+      const index = nextIndex++;
+      const item = aryItems[index];
+      const abortController = new AbortController();
+
+      try {
+        const value = await withTimeout(
+            Promise.resolve().then(() => taskFunc(item, index, abortController.signal)),
+            options.timeoutMs,
+            `Timed out after ${timeoutSeconds} seconds.`);
+
+        aryResults[index] = { item: item, value: value, error: null };
+      } catch (err) {
+        if (err instanceof TaskTimeoutError)
+          abortController.abort(err);
+
+        numFailed++;
+        aryResults[index] = { item: item, value: null, error: err };
+      }
+
+      numCompleted++;
+
+      if (options.onProgress) {
+        options.onProgress({
+          completed: numCompleted,
+          total: aryItems.length,
+          failed: numFailed,
+          item: item,
+          error: aryResults[index].error
+        });
+      }
+    }
+  };
+
+  const aryWorkers = [];
+
+  for (let i = 0; i < Math.min(options.concurrency, aryItems.length); i++)
+    aryWorkers.push(runWorker());
+
+  await Promise.all(aryWorkers);
+
+  return aryResults;
+}
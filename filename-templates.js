@@ -0,0 +1,203 @@
+// This file contains the filename template system used to name the
+//  files exported by the tab extractor popup.  Templates are plain
+//  strings with {token} placeholders, configured per export format
+//  on the options page.
+//
+// The supported tokens are:
+//
+//  {title}   - The tab title.  For a file that holds several tabs,
+//              the number of tabs, like "3 tabs".
+//  {domain}  - The host name of the tab, without a leading "www.".
+//  {date}    - The capture date, as YYYY-MM-DD.
+//  {time}    - The capture time, as HH-MM-SS.
+//  {index}   - The position of the file in the export, from 1.
+//  {videoId} - The YouTube video ID, for YouTube video pages.
+//  {format}  - The export format, like "pdf".
+//
+// The file extension is always added automatically.
+//
+// This file depends on youtube-url.js, which must be loaded first.
+
+const FILENAME_TEMPLATE_FORMATS = ['txt', 'pdf', 'json', 'html', 'md', 'zip', 'srt', 'vtt'];
+
+const DEFAULT_FILENAME_TEMPLATE = '{date}_{time}_{domain}_{title}';
+
+const DEFAULT_FILENAME_TEMPLATES = FILENAME_TEMPLATE_FORMATS.reduce((templates, format) => {
+  templates[format] = DEFAULT_FILENAME_TEMPLATE;
+  return templates;
+}, {});
+
+// The longest base name we produce, to stay well within the
+//  file name limits of all the common file systems.
+const MAX_FILENAME_BASE_LENGTH = 120;
+
+// File names that Windows reserves for devices.
+const RESERVED_WINDOWS_FILENAME_REGEX = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])$/i;
+
+/**
+ * Returns the YouTube video ID in a URL, or the empty string if
+ *  the URL is not a YouTube video URL.  Any kind of video URL that
+ *  classifyYouTubeUrl() knows counts, like a short or an embed.
+ *
+ * @param {String} url - The URL to inspect.
+ *
+ * @return {String}
+ */
+function getFilenameVideoId(url) {
+  return classifyYouTubeUrl(url).videoId || '';
+}
+
+/**
+ * Returns the host name of a URL without a leading "www.", or the
+ *  empty string if the URL is invalid.
+ *
+ * @param {String} url - The URL.
+ *
+ * @return {String}
+ */
+function getFilenameDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (err) {
+    return '';
+  }
+}
+
+/**
+ * Pads a number with leading zeros to two digits.
+ *
+ * @param {Number} value - The number.
+ *
+ * @return {String}
+ */
+function padTwoDigits(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Builds the values of the filename tokens for an export file.
+ *
+ * @param {Object[]} aryItems - The content items in the file.
+ * @param {String} format - The export format.
+ * @param {Number} index - The zero based position of the file in
+ *  the export.
+ *
+ * @return {Object} The token values, keyed by token name.
+ */
+function buildFilenameTokenValues(aryItems, format, index) {
+  const firstItem = aryItems[0] || {};
+  const capturedDate = firstItem.capturedAt ? new Date(firstItem.capturedAt) : new Date();
+
+  // A file with several tabs only gets a domain if they all share it.
+  const aryDomains = [...new Set(aryItems.map(item => getFilenameDomain(item.url)))];
+
+  return {
+    title: aryItems.length === 1 ? (firstItem.title || '') : `${aryItems.length} tabs`,
+    domain: aryDomains.length === 1 ? aryDomains[0] : '',
+    date: `${capturedDate.getFullYear()}-${padTwoDigits(capturedDate.getMonth() + 1)}-${padTwoDigits(capturedDate.getDate())}`,
+    time: `${padTwoDigits(capturedDate.getHours())}-${padTwoDigits(capturedDate.getMinutes())}-${padTwoDigits(capturedDate.getSeconds())}`,
+    index: String(index + 1),
+    videoId: aryItems.length === 1 ? getFilenameVideoId(firstItem.url) : '',
+    format: format
+  };
+}
+
+/**
+ * Replaces the {token} placeholders in a template with their
+ *  values.  Unknown tokens are left as they are.
+ *
+ * @param {String} template - The filename template.
+ * @param {Object} tokenValues - The token values, keyed by token name.
+ *
+ * @return {String}
+ */
+function applyFilenameTemplate(template, tokenValues) {
+  return template.replace(/\{(\w+)\}/g, (match, tokenName) =>
+      Object.prototype.hasOwnProperty.call(tokenValues, tokenName) ? tokenValues[tokenName] : match);
+}
+
+/**
+ * Makes a string safe to use as a file name on all the common
+ *  operating systems.  Unsafe characters are replaced, runs of
+ *  separators left behind by empty tokens are collapsed, and the
+ *  result is shortened to MAX_FILENAME_BASE_LENGTH.
+ *
+ * @param {String} name - The file name, without its extension.
+ *
+ * @return {String}
+ */
+function sanitizeFilename(name) {
+  let sanitized = String(name)
+      .replace(/[\\/:*?"<>|\x00-\x1F\x7F]/g, '-')
+      .replace(/\s+/g, ' ')
+      .replace(/([_\-. ])\1+/g, '$1')
+      .replace(/^[_\-. ]+|[_\-. ]+$/g, '');
+
+  if (sanitized.length > MAX_FILENAME_BASE_LENGTH)
+    sanitized = sanitized.substring(0, MAX_FILENAME_BASE_LENGTH).replace(/[_\-. ]+$/, '');
+
+  if (RESERVED_WINDOWS_FILENAME_REGEX.test(sanitized))
+    sanitized = '_' + sanitized;
+
+  return sanitized.length > 0 ? sanitized : 'content';
+}
+
+/**
+ * Class object that hands out file names that are unique within
+ *  one export, by appending " (2)", " (3)", and so on to names
+ *  that were already used.  File names are compared without
+ *  regard to case, since not all file systems are case sensitive.
+ */
+class FilenameDeduplicator {
+  /**
+   * @param {String[]} [aryReservedFilenames] - File names that
+   *  are already taken, like "manifest.json" in a ZIP bundle.
+   */
+  constructor(aryReservedFilenames = []) {
+    /** @property {Set<String>} - The lower cased file names
+     *   handed out so far.
+     */
+    this.setUsedFilenames = new Set(aryReservedFilenames.map(filename => filename.toLowerCase()));
+  }
+
+  /**
+   * Returns a unique file name for the given base name and
+   *  extension, and marks it as used.
+   *
+   * @param {String} baseName - The sanitized base name.
+   * @param {String} extension - The file extension, without a dot.
+   *
+   * @return {String}
+   */
+  getUniqueFilename(baseName, extension) {
+    let filename = `${baseName}.${extension}`;
+
+    for (let copyNumber = 2; this.setUsedFilenames.has(filename.toLowerCase()); copyNumber++)
+      filename = `${baseName} (${copyNumber}).${extension}`;
+
+    this.setUsedFilenames.add(filename.toLowerCase());
+
+    return filename;
+  }
+}
+
+/**
+ * Builds the file name of an export file from its template.
+ *
+ * @param {String} template - The filename template for the format.
+ * @param {Object[]} aryItems - The content items in the file.
+ * @param {String} format - The export format, which is also the
+ *  file extension.
+ * @param {Number} index - The zero based position of the file in
+ *  the export.
+ * @param {FilenameDeduplicator} deduplicator - The deduplicator
+ *  for the export.
+ *
+ * @return {String}
+ */
+function buildExportFilename(template, aryItems, format, index, deduplicator) {
+  const tokenValues = buildFilenameTokenValues(aryItems, format, index);
+  const baseName = sanitizeFilename(applyFilenameTemplate(template || DEFAULT_FILENAME_TEMPLATE, tokenValues));
+
+  return deduplicator.getUniqueFilename(baseName, format);
+}
@@ -0,0 +1,284 @@
+// This file contains the routines that build the HTML export of
+//  the tab extractor popup.  The exported file is a complete,
+//  self-contained HTML document with embedded CSS, so it opens
+//  correctly offline.  All page text is escaped before it is put
+//  into the markup.
+
+// The embedded style sheet of exported HTML documents.
+const HTML_EXPORT_STYLES = `
+  body { font-family: Georgia, "Times New Roman", serif; line-height: 1.6; color: #222; background: #fff; max-width: 50em; margin: 0 auto; padding: 2em 1em; }
+  h1, h2, h3, h4, h5, h6, nav, .source, .captured, .details { font-family: Arial, Helvetica, sans-serif; }
+  nav { border: 1px solid #ddd; border-radius: 4px; padding: 0.5em 1.5em; margin-bottom: 2em; background: #f7f7f7; }
+  nav ol { padding-left: 1.5em; }
+  section.tab { border-top: 2px solid #ccc; padding-top: 1em; margin-top: 2em; }
+  section.tab:first-of-type { border-top: none; margin-top: 0; }
+  .source { word-break: break-all; }
+  .captured, .details { color: #666; font-size: 0.9em; margin: 0.2em 0; }
+  .back-to-index { font-family: Arial, Helvetica, sans-serif; font-size: 0.9em; }
+  pre { background: #f4f4f4; padding: 0.8em; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: Consolas, Menlo, monospace; font-size: 0.95em; }
+  blockquote { border-left: 4px solid #ddd; margin-left: 0; padding-left: 1em; color: #555; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; text-align: left; vertical-align: top; }
+  img { max-width: 100%; height: auto; }
+`;
+
+/**
+ * Returns a string representation of the given value, with
+ *  null and undefined being returned as the empty string.
+ *
+ * @param {*} value - The value to convert.
+ *
+ * @return {String}
+ */
+function makeHtmlStringSafe(value) {
+  if (typeof value === 'undefined' || value === null)
+    return '';
+
+  return String(value);
+}
+
+/**
+ * Escapes the characters that have a special meaning in HTML
+ *  text and attribute values.
+ *
+ * @param {*} value - The value to escape.
+ *
+ * @return {String}
+ */
+function escapeHtml(value) {
+  return makeHtmlStringSafe(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+}
+
+/**
+ * Returns the URL if it is safe to put in a link or an image
+ *  source, or the empty string if it is not.  This keeps
+ *  "javascript:" and other script carrying URLs out of the
+ *  exported document.
+ *
+ * @param {String} url - The URL to check.
+ *
+ * @return {String}
+ */
+function getSafeHtmlUrl(url) {
+  const trimmed = makeHtmlStringSafe(url).trim();
+
+  return /^(https?|ftp|mailto):/i.test(trimmed) ? trimmed : '';
+}
+
+/**
+ * Converts the inline spans of a block to HTML.
+ *
+ * @param {Object[]} arySpans - The spans of the block.
+ *
+ * @return {String}
+ */
+function spansToHtml(arySpans) {
+  return arySpans.map(span => {
+    if (span.image) {
+      const src = getSafeHtmlUrl(span.image.src);
+      return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(span.image.alt)}">` : '';
+    }
+
+    let html = span.text === '\n' ? '<br>' : escapeHtml(span.text).replace(/\n/g, '<br>');
+
+    if (span.code)
+      html = `<code>${html}</code>`;
+    if (span.bold)
+      html = `<strong>${html}</strong>`;
+    if (span.italic)
+      html = `<em>${html}</em>`;
+
+    const href = getSafeHtmlUrl(span.href);
+
+    if (href)
+      html = `<a href="${escapeHtml(href)}">${html}</a>`;
+
+    return html;
+  }).join('');
+}
+
+/**
+ * Converts an array of content blocks to HTML.
+ *
+ * @param {Object[]} aryBlocks - The content blocks, as built by
+ *  collectContentBlocks() in page-extractor.js.
+ *
+ * @return {String}
+ */
+function contentBlocksToHtml(aryBlocks) {
+  const listToHtml = (listBlock) => {
+    const tagName = listBlock.ordered ? 'ol' : 'ul';
+    const itemsHtml = listBlock.items.map(item =>
+        `<li>${spansToHtml(item.spans)}${item.lists.map(listToHtml).join('')}</li>`
+    ).join('\n');
+
+    return `<${tagName}>\n${itemsHtml}\n</${tagName}>`;
+  };
+
+  const tableToHtml = (tableBlock) => {
+    const rowsHtml = tableBlock.rows.map((aryCells, rowNdx) => {
+      const cellTagName = tableBlock.hasHeader && rowNdx === 0 ? 'th' : 'td';
+      return `<tr>${aryCells.map(cellText => `<${cellTagName}>${escapeHtml(cellText)}</${cellTagName}>`).join('')}</tr>`;
+    }).join('\n');
+
+    return `<table>\n${rowsHtml}\n</table>`;
+  };
+
+  return aryBlocks.map(block => {
+    switch (block.type) {
+      case 'heading': {
+        // The index is the H1 and the tab title is the H2 of each
+        //  section, so the page's own headings start at H3.
+        const level = Math.min(block.level + 2, 6);
+        return `<h${level}>${spansToHtml(block.spans)}</h${level}>`;
+      }
+      case 'paragraph':
+        return `<p>${spansToHtml(block.spans)}</p>`;
+      case 'list':
+        return listToHtml(block);
+      case 'table':
+        return tableToHtml(block);
+      case 'code': {
+        const languageClass = block.language ? ` class="language-${escapeHtml(block.language)}"` : '';
+        return `<pre><code${languageClass}>${escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'blockquote':
+        return `<blockquote>\n${contentBlocksToHtml(block.blocks)}\n</blockquote>`;
+      case 'image': {
+        const src = getSafeHtmlUrl(block.src);
+        const title = block.title ? ` title="${escapeHtml(block.title)}"` : '';
+        return src ? `<p><img src="${escapeHtml(src)}" alt="${escapeHtml(block.alt)}"${title}></p>` : '';
+      }
+      default:
+        console.warn(`Unknown content block type: ${block.type}`);
+        return '';
+    }
+  }).filter(html => html.length > 0).join('\n');
+}
+
+/**
+ * Converts plain text to HTML paragraphs.  Blank lines separate
+ *  paragraphs, and single line breaks are kept.
+ *
+ * @param {String} text - The text to convert.
+ *
+ * @return {String}
+ */
+function plainTextToHtmlParagraphs(text) {
+  return makeHtmlStringSafe(text)
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(paragraph => paragraph.length > 0)
+      .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`)
+      .join('\n');
+}
+
+/**
+ * Returns the ID of the HTML section for the content item at
+ *  the given index, for the anchors of the index.
+ *
+ * @param {Number} index - The index of the content item.
+ *
+ * @return {String}
+ */
+function getHtmlSectionId(index) {
+  return `tab-${index + 1}`;
+}
+
+/**
+ * Builds the HTML section for one content item.
+ *
+ * @param {Object} item - The content item.
+ * @param {Number} index - The index of the content item.
+ * @param {Boolean} onlyLinks - TRUE if only the title and URL of
+ *  the page should be written.
+ * @param {Boolean} bHasIndex - TRUE if the document has an index
+ *  to link back to.
+ *
+ * @return {String}
+ */
+function buildHtmlSection(item, index, onlyLinks, bHasIndex) {
+  const aryParts = [`<section class="tab" id="${getHtmlSectionId(index)}">`];
+
+  aryParts.push(`<h2>${escapeHtml(item.title)}</h2>`);
+
+  const href = getSafeHtmlUrl(item.url);
+
+  aryParts.push(href
+      ? `<p class="source"><a href="${escapeHtml(href)}">${escapeHtml(item.url)}</a></p>`
+      : `<p class="source">${escapeHtml(item.url)}</p>`);
+
+  if (item.capturedAt) {
+    const capturedDate = new Date(item.capturedAt);
+    aryParts.push(`<p class="captured">Captured: <time datetime="${escapeHtml(item.capturedAt)}">${escapeHtml(capturedDate.toLocaleString())}</time></p>`);
+  }
+
+  if (!onlyLinks) {
+    getArticleDetailLines(item).forEach(line => aryParts.push(`<p class="details">${escapeHtml(line)}</p>`));
+
+    aryParts.push(Array.isArray(item.blocks) && item.blocks.length > 0
+        ? contentBlocksToHtml(item.blocks)
+        : plainTextToHtmlParagraphs(item.content));
+  }
+
+  if (bHasIndex)
+    aryParts.push('<p class="back-to-index"><a href="#index">Back to index</a></p>');
+
+  aryParts.push('</section>');
+
+  return aryParts.join('\n');
+}
+
+/**
+ * Builds a complete HTML document for the given content items.
+ *  When there is more than one item, the document starts with an
+ *  index that links to the section of each item.
+ *
+ * @param {Object[]} aryItems - The content items.
+ * @param {Boolean} onlyLinks - TRUE if only the titles and URLs
+ *  of the pages should be written.
+ *
+ * @return {String}
+ */
+function buildHtmlDocument(aryItems, onlyLinks) {
+  const bHasIndex = aryItems.length > 1;
+  const documentTitle = aryItems.length === 1 ? aryItems[0].title : `Captured tabs (${aryItems.length})`;
+
+  const aryParts = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    '<meta name="generator" content="Tab Content Extractor">',
+    `<title>${escapeHtml(documentTitle)}</title>`,
+    `<style>${HTML_EXPORT_STYLES}</style>`,
+    '</head>',
+    '<body>'
+  ];
+
+  if (bHasIndex) {
+    aryParts.push('<nav id="index">');
+    aryParts.push('<h1>Index</h1>');
+    aryParts.push('<ol>');
+    aryItems.forEach((item, index) => {
+      aryParts.push(`<li><a href="#${getHtmlSectionId(index)}">${escapeHtml(item.title)}</a></li>`);
+    });
+    aryParts.push('</ol>');
+    aryParts.push('</nav>');
+  }
+
+  aryParts.push('<main>');
+  aryItems.forEach((item, index) => aryParts.push(buildHtmlSection(item, index, onlyLinks, bHasIndex)));
+  aryParts.push('</main>');
+  aryParts.push('</body>');
+  aryParts.push('</html>');
+
+  return aryParts.join('\n') + '\n';
+}
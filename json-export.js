@@ -0,0 +1,115 @@
+// This file contains the routines that build the structured JSON
+//  export of the tab extractor popup.
+//
+// The exported document has this layout:
+//
+//  {
+//    "schema": "tab-content-extractor/websites",
+//    "schemaVersion": 1,
+//    "exportedAt": ISO 8601 date string,
+//    "websites": [{
+//      "title": String,
+//      "url": String,
+//      "capturedAt": ISO 8601 date string,
+//
+//      // The fields below are omitted in "Links only" mode.
+//      "extractionMode": "full" | "article",
+//      "metadata": {
+//        "description": String,
+//        "canonicalUrl": String,
+//        "language": String,
+//        "byline": String,
+//        "publishedDate": String,
+//        "openGraph": { property name without "og:" prefix: String }
+//      },
+//      "content": {
+//        "text": String,
+//        "blocks": [content block objects, see page-extractor.js],
+//        "links": [{ "text": String, "href": String }],
+//        "stats": { "wordCount": Number, "characterCount": Number }
+//      }
+//    }]
+//  }
+//
+// Downstream scripts rely on this layout, so bump the schema version
+//  whenever a field is removed, renamed, or changes its meaning.
+//  Adding a new field does not need a new version.
+
+const JSON_EXPORT_SCHEMA_NAME = 'tab-content-extractor/websites';
+const JSON_EXPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Counts the whitespace delimited words in a string.
+ *
+ * @param {String} text - The text to count the words of.
+ *
+ * @return {Number}
+ */
+function countTextWords(text) {
+  const trimmed = (text || '').trim();
+
+  return trimmed.length > 0 ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Builds the JSON export entry for one content item.
+ *
+ * @param {Object} item - The content item.
+ * @param {Boolean} onlyLinks - TRUE if only the title and URL
+ *  of the page should be exported.
+ *
+ * @return {Object}
+ */
+function buildJsonWebsiteEntry(item, onlyLinks) {
+  const entry = {
+    title: item.title,
+    url: item.url,
+    capturedAt: item.capturedAt
+  };
+
+  if (onlyLinks)
+    return entry;
+
+  const metadata = item.metadata || {};
+  const text = item.content || '';
+
+  entry.extractionMode = item.extractionMode;
+  entry.metadata = {
+    description: metadata.description || '',
+    canonicalUrl: metadata.canonicalUrl || '',
+    language: metadata.language || '',
+    byline: item.byline || '',
+    publishedDate: item.publishedDate || '',
+    openGraph: metadata.openGraph || {}
+  };
+  entry.content = {
+    text: text,
+    blocks: item.blocks || [],
+    links: item.links || [],
+    stats: {
+      wordCount: countTextWords(text),
+      characterCount: text.length
+    }
+  };
+
+  return entry;
+}
+
+/**
+ * Builds a complete JSON export document for the given content
+ *  items.
+ *
+ * @param {Object[]} aryItems - The content items.
+ * @param {Boolean} onlyLinks - TRUE if only the titles and URLs
+ *  of the pages should be exported.
+ *
+ * @return {Object}
+ */
+function buildJsonExportDocument(aryItems, onlyLinks) {
+  return {
+    schema: JSON_EXPORT_SCHEMA_NAME,
+    schemaVersion: JSON_EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    websites: aryItems.map(item => buildJsonWebsiteEntry(item, onlyLinks))
+  };
+}
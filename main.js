@@ -1,119 +1,604 @@
 
 // Main script for YouTube video popup.
 
-/**
- * Maximum character count allowed for the input text.
- * This limit is based on the underlying model's token limit.
- * @constant {number}
- */
-const MAX_MODEL_CHARS = 4000;
-
 // Element references
 const inputTextArea = document.querySelector('#input');
 const summaryTypeSelect = document.querySelector('#type');
 const summaryFormatSelect = document.querySelector('#format');
 const summaryLengthSelect = document.querySelector('#length');
 const characterCountSpan = document.querySelector('#character-count');
-const characterCountExceededSpan = document.querySelector('#character-count-exceed');
 const summarizationUnsupportedDialog = document.querySelector('#summarization-unsupported');
 const summarizationUnavailableDialog = document.querySelector('#summarization-unavailable');
 const output = document.querySelector('#output');
+const transcriptFieldset = document.querySelector('#transcript-fieldset');
+const transcriptSearchInput = document.querySelector('#transcript-search');
+const transcriptMatchCountSpan = document.querySelector('#transcript-match-count');
+const transcriptList = document.querySelector('#transcript-list');
+const captionTrackRow = document.querySelector('#caption-track-row');
+const captionTrackSelect = document.querySelector('#caption-track');
+const stopSummaryButton = document.querySelector('#stop-summary');
+const summaryProgressBar = document.querySelector('#summary-progress-bar');
+const summaryProgressText = document.querySelector('#summary-progress-text');
+
+/**
+ * Splits a timed transcript into chunks with chunkifyText_async(),
+ *  and works out the time range each chunk covers.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript line
+ *  objects, with transcriptText and offsetInSeconds fields.
+ * @param {Object} chunkOptions - The options for
+ *  chunkifyText_async().
+ *
+ * @return {Promise<Object[]>} One { text, startSeconds, endSeconds }
+ *  object per chunk.  The end of a chunk is the start of the line
+ *  after it, or the start of the last line for the last chunk.
+ */
+async function chunkifyTimedTranscript_async(aryTranscriptLines, chunkOptions) {
+    const errPrefix = '(chunkifyTimedTranscript_async) ';
+
+    if (!Array.isArray(aryTranscriptLines) || aryTranscriptLines.length < 1)
+        throw new Error(`${errPrefix}The aryTranscriptLines parameter is empty or not an array.`);
+
+    // The offset of the transcript line each character of the
+    //  text belongs to.  The space between two lines belongs to
+    //  the second one.
+    const aryCharOffsets = [];
+    const aryLineTexts = [];
+
+    aryTranscriptLines.forEach(transcriptLine => {
+        const cleanText = cleanTranscriptText(transcriptLine.transcriptText);
+
+        if (cleanText.length > 0) {
+            const numChars = cleanText.length + (aryLineTexts.length > 0 ? 1 : 0);
+
+            aryLineTexts.push(cleanText);
+
+            for (let i = 0; i < numChars; i++)
+                aryCharOffsets.push(transcriptLine.offsetInSeconds);
+        }
+    });
+
+    const lastOffset = aryTranscriptLines[aryTranscriptLines.length - 1].offsetInSeconds;
+    const aryChunks = await chunkifyText_async(aryLineTexts.join(' '), chunkOptions);
+
+    return aryChunks.map(chunk => {
+        return {
+            text: chunk.text,
+            startSeconds: chunk.start < aryCharOffsets.length ? aryCharOffsets[chunk.start] : lastOffset,
+            endSeconds: chunk.end < aryCharOffsets.length ? aryCharOffsets[chunk.end] : lastOffset
+        };
+    });
+}
 
 /**
- * Counts the number of space delimited words in a string.
+ * Splits a timed transcript along the chapters of the video, and
+ *  splits a chapter further with chunkifyTimedTranscript_async()
+ *  only if it is longer than the chunk size.  No chunk spans two
+ *  chapters.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript line
+ *  objects, with transcriptText and offsetInSeconds fields.
+ * @param {Object[]} aryChapters - The { title, startSeconds }
+ *  chapters of the video, in order.
+ * @param {Object} chunkOptions - The options for
+ *  chunkifyText_async().
+ *
+ * @return {Promise<Object[]>} One { text, startSeconds, endSeconds,
+ *  chapterIndex } object per chunk, where chapterIndex is the
+ *  index of the chunk's chapter in aryChapters.  The last chunk
+ *  of a chapter ends where the next chapter starts.
  */
-function countWords(str) {
+async function chunkifyTranscriptByChapters_async(aryTranscriptLines, aryChapters, chunkOptions) {
+    const errPrefix = '(chunkifyTranscriptByChapters_async) ';
 
-    if (typeof str !== 'string')
-        throw new Error(`Invalid str parameter.  Not a string.`);
+    if (!Array.isArray(aryChapters) || aryChapters.length < 1)
+        throw new Error(`${errPrefix}The aryChapters parameter is empty or not an array.`);
 
-    return str.split(' ').length;
+    const aryChunks = [];
+
+    for (let chapterIndex = 0; chapterIndex < aryChapters.length; chapterIndex++) {
+        const chapter = aryChapters[chapterIndex];
+        const nextChapter = aryChapters[chapterIndex + 1];
+
+        // Lines before the first chapter belong to it.
+        const aryChapterLines = aryTranscriptLines.filter(transcriptLine =>
+            (chapterIndex === 0 || transcriptLine.offsetInSeconds >= chapter.startSeconds)
+            && (!nextChapter || transcriptLine.offsetInSeconds < nextChapter.startSeconds)
+            && cleanTranscriptText(transcriptLine.transcriptText).length > 0);
+
+        if (aryChapterLines.length === 0)
+            continue;
+
+        const aryChapterChunks = await chunkifyTimedTranscript_async(aryChapterLines, chunkOptions);
+
+        aryChapterChunks[0].startSeconds = Math.min(aryChapterChunks[0].startSeconds, chapter.startSeconds);
+
+        if (nextChapter)
+            aryChapterChunks[aryChapterChunks.length - 1].endSeconds = nextChapter.startSeconds;
+
+        aryChapterChunks.forEach(chunk => {
+            chunk.chapterIndex = chapterIndex;
+            aryChunks.push(chunk);
+        });
+    }
+
+    return aryChunks;
 }
 
 /**
- * Splits the input text into chunks of up to a specified number of words,
- * attempting not to split sentences when possible.
+ * Builds the URL that opens a YouTube video at the given offset.
  *
- * If a sentence exceeds the maximum word limit, it will be split at the limit.
+ * @param {String} videoId - The YouTube video ID.
+ * @param {Number} offsetInSeconds - The offset in seconds.
  *
- * @param {string} strText - The input text to be chunked.
- * @param {number} [numWordsPerChunk] - The maximum number of words per chunk.
+ * @return {String}
+ */
+function buildVideoTimestampUrl(videoId, offsetInSeconds) {
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&t=${Math.floor(offsetInSeconds)}s`;
+}
+
+/**
+ * Builds the video info object the transcript exports use: the
+ *  video details of a grabbed transcript, plus its URL.
  *
- * NOTE: The default is set to 700 words because currently the Chrome
- *  local LLM has a per-prompt limit of 1024 tokens.
+ * @param {Object} transcript - The grabbed transcript.
  *
- * @returns {string[]} An array of text chunks.
- * @throws {Error} Throws an error if strText is not a non-empty string or if numWordsPerChunk is not a positive integer.
+ * @return {Object}
  */
-function simpleChunkifyText(strText, numWordsPerChunk = 700) {
-    // Validate input
-    if (typeof strText !== 'string' || strText.trim() === '') {
-        throw new Error("strText must be a non-empty string.");
+function buildVideoInfo(transcript) {
+    return {
+        videoTitle: transcript.videoTitle || '',
+        channelName: transcript.channelName || '',
+        publishDate: transcript.publishDate || null,
+        videoDurationSeconds: typeof transcript.videoDurationSeconds === 'number' ? transcript.videoDurationSeconds : null,
+        videoDescription: transcript.videoDescription || '',
+        aryChapters: Array.isArray(transcript.aryChapters) ? transcript.aryChapters : [],
+        videoUrl: `https://www.youtube.com/watch?v=${encodeURIComponent(transcript.idOfVideo)}`
+    };
+}
+
+/**
+ * Builds the context the summarizer is given with each chunk of
+ *  a transcript, so it knows what video the text comes from.
+ *
+ * @param {Object} transcript - The grabbed transcript.
+ *
+ * @return {String} The context, or an empty string if the video
+ *  title is not known.
+ */
+function buildSummaryContext(transcript) {
+    if (!transcript.videoTitle)
+        return '';
+
+    const byChannel = transcript.channelName ? ` by ${transcript.channelName}` : '';
+    const published = transcript.publishDate ? `, published ${transcript.publishDate}` : '';
+
+    return `This text is from the transcript of the YouTube video "${transcript.videoTitle}"${byChannel}${published}.`;
+}
+
+/**
+ * Builds the element that heads the summary of a video with its
+ *  title, channel, publish date and length.
+ *
+ * @param {Object} videoInfo - The video info.
+ *
+ * @return {HTMLElement|null} The element, or NULL if none of the
+ *  video details are known.
+ */
+function buildVideoMetadataElement(videoInfo) {
+    if (!videoInfo.videoTitle && !videoInfo.channelName)
+        return null;
+
+    const metadataDiv = document.createElement('div');
+    const titleDiv = document.createElement('div');
+    const detailsDiv = document.createElement('div');
+
+    metadataDiv.className = 'video-metadata';
+    titleDiv.className = 'video-metadata-title';
+    titleDiv.textContent = videoInfo.videoTitle;
+    detailsDiv.className = 'video-metadata-details';
+    detailsDiv.textContent = [
+        videoInfo.channelName,
+        videoInfo.publishDate,
+        videoInfo.videoDurationSeconds !== null ? formatTimestamp(videoInfo.videoDurationSeconds) : ''
+    ].filter(detail => detail).join(' \u00b7 ');
+
+    metadataDiv.append(titleDiv, detailsDiv);
+
+    return metadataDiv;
+}
+
+/**
+ * Builds the element that shows one chunk summary, labeled
+ *  with the time range of its chunk and a link to that point
+ *  in the video.  Clicking the link seeks the video in the
+ *  active tab; the URL can still be copied or opened in a new
+ *  tab.
+ *
+ * @param {Object} chunkSummary - The { text, startSeconds,
+ *  endSeconds } chunk summary object.
+ * @param {String|null} videoId - The YouTube video ID, or NULL
+ *  if the summarized text is not a timed transcript.
+ *
+ * @return {HTMLElement}
+ */
+function buildChunkSummaryElement(chunkSummary, videoId) {
+    const chunkDiv = document.createElement('div');
+
+    chunkDiv.className = 'chunk-summary';
+
+    if (videoId && chunkSummary.startSeconds !== null) {
+        const url = buildVideoTimestampUrl(videoId, chunkSummary.startSeconds);
+        const labelDiv = document.createElement('div');
+        const link = document.createElement('a');
+
+        labelDiv.className = 'chunk-summary-label';
+        link.href = url;
+        link.target = '_blank';
+        link.textContent = `[${formatTimestamp(chunkSummary.startSeconds)} - ${formatTimestamp(chunkSummary.endSeconds)}]`;
+        link.addEventListener('click', (event) => {
+            if (!event.ctrlKey && !event.metaKey && !event.shiftKey) {
+                event.preventDefault();
+                seekVideoInActiveTab(chunkSummary.startSeconds);
+            }
+        });
+
+        labelDiv.append(link, ` ${url}`);
+        chunkDiv.appendChild(labelDiv);
     }
-    if (!Number.isInteger(numWordsPerChunk) || numWordsPerChunk <= 0) {
-        throw new Error("numWordsPerChunk must be an integer greater than zero.");
+
+    chunkDiv.append(chunkSummary.text);
+
+    return chunkDiv;
+}
+
+/**
+ * Builds the section that shows the summary of one chapter,
+ *  headed by the chapter's start time and title.  The start time
+ *  links to that point in the video.  The chunk summaries of a
+ *  chapter that had to be split are labeled with their own time
+ *  ranges.
+ *
+ * @param {Object} chapter - The { title, startSeconds } chapter.
+ * @param {Object[]} aryChunkSummaries - The chunk summaries of
+ *  the chapter.
+ * @param {String} videoId - The YouTube video ID.
+ *
+ * @return {HTMLElement}
+ */
+function buildChapterSummaryElement(chapter, aryChunkSummaries, videoId) {
+    const sectionElement = document.createElement('section');
+    const headingElement = document.createElement('h3');
+    const link = document.createElement('a');
+
+    sectionElement.className = 'chapter-summary';
+    link.href = buildVideoTimestampUrl(videoId, chapter.startSeconds);
+    link.target = '_blank';
+    link.textContent = formatTimestamp(chapter.startSeconds);
+    link.addEventListener('click', (event) => {
+        if (!event.ctrlKey && !event.metaKey && !event.shiftKey) {
+            event.preventDefault();
+            seekVideoInActiveTab(chapter.startSeconds);
+        }
+    });
+
+    headingElement.append(link, ` ${chapter.title}`);
+    sectionElement.appendChild(headingElement);
+
+    aryChunkSummaries.forEach(chunkSummary => {
+        sectionElement.appendChild(
+            buildChunkSummaryElement(chunkSummary, aryChunkSummaries.length > 1 ? videoId : null));
+    });
+
+    return sectionElement;
+}
+
+/**
+ * Builds the section that shows the summary at the top of the
+ *  summary tree.
+ *
+ * @param {Object} topSummary - The summary at the top of the tree.
+ *
+ * @return {HTMLElement}
+ */
+function buildTopSummaryElement(topSummary) {
+    const sectionElement = document.createElement('section');
+    const headingElement = document.createElement('h3');
+
+    sectionElement.className = 'top-summary';
+    headingElement.textContent = 'Summary';
+    sectionElement.append(headingElement, topSummary.text);
+
+    return sectionElement;
+}
+
+/**
+ * Builds the collapsed element that shows one level of the
+ *  summary tree between the top summary and the chunk summaries.
+ *  Each summary is labeled with the time range it covers.
+ *
+ * @param {Object[]} aryLevelSummaries - The summaries of the level.
+ * @param {Number} levelNum - The level, counting up from the
+ *  chunk summaries at level 0.
+ * @param {String|null} videoId - The YouTube video ID, or NULL
+ *  if the summarized text is not a timed transcript.
+ * @param {Boolean} [bOpen] - TRUE to show the level expanded,
+ *  like the level that is being generated.
+ *
+ * @return {HTMLElement}
+ */
+function buildSummaryLevelElement(aryLevelSummaries, levelNum, videoId, bOpen = false) {
+    const detailsElement = document.createElement('details');
+    const summaryElement = document.createElement('summary');
+
+    detailsElement.className = 'summary-level';
+    detailsElement.open = bOpen;
+    summaryElement.textContent = `Level ${levelNum}: ${aryLevelSummaries.length} summaries`;
+    detailsElement.appendChild(summaryElement);
+
+    aryLevelSummaries.forEach(levelSummary => {
+        detailsElement.appendChild(buildChunkSummaryElement(levelSummary, videoId));
+    });
+
+    return detailsElement;
+}
+
+/**
+ * Shows a status message in the progress area, apart from the
+ *  summary.  When the number of steps done and the number of steps
+ *  are given, the progress bar shows them.
+ *
+ * @param {String} statusText - The status message.
+ * @param {Number|null} [numDone] - The number of steps done.
+ * @param {Number|null} [numTotal] - The number of steps.
+ */
+function showProgress(statusText, numDone = null, numTotal = null) {
+    summaryProgressText.textContent = statusText;
+
+    if (Number.isInteger(numDone) && Number.isInteger(numTotal) && numTotal > 0) {
+        summaryProgressBar.max = numTotal;
+        summaryProgressBar.value = numDone;
+        summaryProgressBar.classList.remove('hidden');
+    } else {
+        summaryProgressBar.classList.add('hidden');
     }
+}
 
-    // Split text into sentences (includes punctuation)
-    const sentenceRegex = /[^.!?]+[.!?]*/g;
-    const sentences = strText.match(sentenceRegex);
-
-    if (!sentences) return []; // Return an empty array if no sentences are found
-
-    const chunks = [];
-    let currentChunk = '';
-    let currentWordCount = 0;
-
-    for (let i = 0; i < sentences.length; i++) {
-        const sentence = sentences[i].trim();
-        const sentenceWords = sentence.split(/\s+/);
-        const sentenceWordCount = sentenceWords.length;
-
-        // If the sentence itself is longer than numWordsPerChunk, split it
-        if (sentenceWordCount > numWordsPerChunk) {
-            let wordsProcessed = 0;
-            while (wordsProcessed < sentenceWordCount) {
-                const wordsToAdd = sentenceWords.slice(wordsProcessed, wordsProcessed + numWordsPerChunk - currentWordCount);
-                currentChunk += (currentChunk ? ' ' : '') + wordsToAdd.join(' ');
-                currentWordCount += wordsToAdd.length;
-                wordsProcessed += wordsToAdd.length;
-
-                // If the current chunk reaches the limit, push it to chunks and reset
-                if (currentWordCount >= numWordsPerChunk) {
-                    console.log(`Adding chunk #(${chunks.length}).  Length in words: ${countWords(currentChunk)}`)
-                    chunks.push(currentChunk.trim());
-                    currentChunk = '';
-                    currentWordCount = 0;
-                }
-            }
-            continue;
+/**
+ * Asks the content script in the active tab to seek the
+ *  video to the given offset.
+ *
+ * @param {Number} offsetInSeconds - The offset to seek to.
+ */
+function seekVideoInActiveTab(offsetInSeconds) {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (tabs[0] && tabs[0].id) {
+            chrome.tabs.sendMessage(tabs[0].id, { action: "seekVideo", offsetInSeconds: offsetInSeconds }, (response) => {
+                if (chrome.runtime.lastError)
+                    console.error(`Unable to seek the video: ${chrome.runtime.lastError.message}`);
+                else if (!response || !response.success)
+                    console.warn(`The content script could not find the video to seek.`);
+            });
         }
+    });
+}
+
+/**
+ * Fills the caption track selector with the caption tracks
+ *  of the video, and selects the one the transcript was
+ *  read from.  The selector stays hidden if the video has
+ *  no caption tracks.
+ *
+ * @param {Object} transcript - The grabbed transcript, with
+ *  its aryCaptionTracks, captionLanguageCode and
+ *  captionTrackKind fields.
+ */
+function showCaptionTrackChoices(transcript) {
+    const aryCaptionTracks = Array.isArray(transcript.aryCaptionTracks) ? transcript.aryCaptionTracks : [];
+
+    captionTrackSelect.innerHTML = '';
+
+    // The transcript came from the transcript panel if no
+    //  caption track was used.
+    if (!transcript.captionTrackKind) {
+        const panelOption = document.createElement('option');
+
+        panelOption.value = '';
+        panelOption.textContent = 'Transcript panel';
+        panelOption.disabled = true;
+        panelOption.selected = true;
+        captionTrackSelect.appendChild(panelOption);
+    }
+
+    aryCaptionTracks.forEach(captionTrack => {
+        const option = document.createElement('option');
+
+        option.value = captionTrack.trackId;
+        option.textContent = captionTrack.kind === 'asr'
+            ? `${captionTrack.languageName} (auto-generated)`
+            : captionTrack.languageName;
+        option.selected =
+            captionTrack.languageCode === transcript.captionLanguageCode
+            && captionTrack.kind === transcript.captionTrackKind;
+
+        captionTrackSelect.appendChild(option);
+    });
+
+    captionTrackRow.classList.toggle('hidden', aryCaptionTracks.length === 0);
+}
+
+/**
+ * Fills the transcript list with one item per transcript
+ *  line.  Clicking an item seeks the video to that line.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript line
+ *  objects, with transcriptText, timestampString and
+ *  offsetInSeconds fields.
+ */
+function showTranscriptList(aryTranscriptLines) {
+    transcriptList.innerHTML = '';
+
+    aryTranscriptLines.forEach(transcriptLine => {
+        const listItem = document.createElement('li');
+        const timestampSpan = document.createElement('span');
+        const textSpan = document.createElement('span');
+
+        timestampSpan.className = 'transcript-timestamp';
+        timestampSpan.textContent = transcriptLine.timestampString;
+        textSpan.className = 'transcript-text';
+        textSpan.textContent = transcriptLine.transcriptText;
+
+        listItem.append(timestampSpan, textSpan);
+        listItem.addEventListener('click', () => seekVideoInActiveTab(transcriptLine.offsetInSeconds));
+
+        transcriptList.appendChild(listItem);
+    });
 
-        // Check if adding this sentence exceeds the word limit
-        if (currentWordCount + sentenceWordCount > numWordsPerChunk) {
-            // Push the current chunk to chunks and start a new chunk
-            if (currentChunk) {
-                console.log(`Adding chunk #(${chunks.length}).  Length in words: ${countWords(currentChunk)}`)
-                chunks.push(currentChunk.trim());
+    transcriptFieldset.classList.remove('hidden');
+    filterTranscriptList(transcriptSearchInput.value);
+}
+
+/**
+ * Shows only the transcript lines that contain the search
+ *  text, ignoring case, with the matches highlighted.
+ *
+ * @param {String} searchText - The text to search for.  An
+ *  empty string shows all the lines.
+ */
+function filterTranscriptList(searchText) {
+    const searchTextLower = searchText.trim().toLowerCase();
+    const aryListItems = Array.from(transcriptList.children);
+    let numMatches = 0;
+
+    aryListItems.forEach(listItem => {
+        const textSpan = listItem.querySelector('.transcript-text');
+        const text = textSpan.textContent;
+        const bMatches = searchTextLower.length === 0 || text.toLowerCase().includes(searchTextLower);
+
+        // Rebuild the text, wrapping each match in a MARK element.
+        textSpan.textContent = '';
+
+        if (bMatches && searchTextLower.length > 0) {
+            const textLower = text.toLowerCase();
+            let position = 0;
+            let matchNdx;
+
+            while ((matchNdx = textLower.indexOf(searchTextLower, position)) >= 0) {
+                const mark = document.createElement('mark');
+
+                mark.textContent = text.substring(matchNdx, matchNdx + searchTextLower.length);
+                textSpan.append(text.substring(position, matchNdx), mark);
+                position = matchNdx + searchTextLower.length;
             }
-            currentChunk = sentence;
-            currentWordCount = sentenceWordCount;
+
+            textSpan.append(text.substring(position));
         } else {
-            // Add the sentence to the current chunk
-            currentChunk += (currentChunk ? ' ' : '') + sentence;
-            currentWordCount += sentenceWordCount;
+            textSpan.textContent = text;
         }
-    }
 
-    // Add any remaining text in the current chunk
-    if (currentChunk) {
-        console.log(`Adding chunk #(${chunks.length}).  Length in words: ${countWords(currentChunk)}`)
-        chunks.push(currentChunk.trim());
+        listItem.classList.toggle('hidden', !bMatches);
+
+        if (bMatches)
+            numMatches++;
+    });
+
+    transcriptMatchCountSpan.textContent = searchTextLower.length > 0
+        ? `${numMatches} of ${aryListItems.length} lines`
+        : `${aryListItems.length} lines`;
+}
+
+// The transcript received from the content script, and the text
+//  it put in the input text area.  The summaries are only labeled
+//  with timestamps while the input text is still that text.
+let currentTranscript = null;
+let currentTranscriptText = '';
+
+// The length of the video in seconds, or NULL if unknown.
+let currentVideoDurationSeconds = null;
+
+// The title and URL of the video's tab, for the file names of
+//  downloaded transcripts.
+let currentVideoTabInfo = { title: '', url: '' };
+
+// The connection to the content script in the video's tab, once
+//  it has been made.
+let activeTabPort = null;
+
+transcriptSearchInput.addEventListener('input', () => filterTranscriptList(transcriptSearchInput.value));
+
+// Grab the transcript again when the user picks another caption
+//  track.  This does not need the summarizer.
+captionTrackSelect.addEventListener('change', () => {
+    if (!activeTabPort)
+        return;
+
+    output.textContent = '';
+    showProgress('Grabbing the transcript...');
+    activeTabPort.postMessage({ action: "grabTranscript", captionOptions: { trackId: captionTrackSelect.value } });
+});
+
+/**
+ * Downloads the grabbed transcript in the given format, named
+ *  with the filename template for that format.
+ *
+ * @param {String} format - 'srt', 'vtt', or 'txt'.
+ */
+async function downloadTranscript(format) {
+    const errPrefix = '(downloadTranscript) ';
+
+    if (!currentTranscript)
+        throw new Error(`${errPrefix}No transcript has been grabbed yet.`);
+
+    const aryTranscriptLines = currentTranscript.aryTranscriptLineObjs;
+    let text;
+    let mimeType;
+
+    switch (format) {
+        case 'srt':
+            text = buildSrtTranscript(aryTranscriptLines, currentVideoDurationSeconds);
+            mimeType = 'application/x-subrip';
+            break;
+        case 'vtt':
+            text = buildWebVttTranscript(aryTranscriptLines, currentVideoDurationSeconds, buildVideoInfo(currentTranscript));
+            mimeType = 'text/vtt';
+            break;
+        case 'txt':
+            text = buildPlainTextTranscript(aryTranscriptLines, buildVideoInfo(currentTranscript));
+            mimeType = 'text/plain';
+            break;
+        default:
+            throw new Error(`${errPrefix}Unknown transcript format: ${format}`);
     }
 
-    return chunks;
+    const settings = await loadSettings();
+    const filename = buildExportFilename(
+        settings.filenameTemplates[format],
+        [{ title: currentTranscript.videoTitle || currentVideoTabInfo.title, url: currentVideoTabInfo.url, capturedAt: new Date().toISOString() }],
+        format,
+        0,
+        new FilenameDeduplicator());
+
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
 }
 
+// The downloads only need the grabbed transcript, not the
+//  summarizer, so they are wired up at load.
+['srt', 'vtt', 'txt'].forEach(format => {
+    document.querySelector(`#download-${format}`).addEventListener('click', () => {
+        downloadTranscript(format).catch(err => {
+            console.error(err);
+            alert(`Unable to download the transcript: ${err.message}`);
+        });
+    });
+});
+
 /**
  * Creates a summarization session. Downloads the model if necessary.
  *
@@ -143,25 +628,154 @@ const createSummarizationSession = async (type, format, length, downloadProgress
 
 /**
  * Initializes the application.
- * Checks the availability of the Summarization API, and sets up event listeners
- * for summarizing the text added to the input textarea.
- * If the API is unavailable or unsupported, it displays relevant dialogs.
+ * Connects to the video's tab for the transcript, then checks the availability
+ * of the Summarization API, and sets up event listeners for summarizing the
+ * text added to the input textarea.
+ * If the API is unavailable or unsupported, it displays relevant dialogs, and
+ * only the transcript features are available.
  */
 const initializeApplication = async () => {
+    // Apply the saved summarizer settings before anything else, so
+    //  the first summary already uses them.
+    const settings = await loadSettings();
+
+    summaryTypeSelect.value = settings.summarizerType;
+    summaryFormatSelect.value = settings.summarizerFormat;
+    summaryLengthSelect.value = settings.summarizerLength;
+
+    // Only the summary needs the Summarization API.  The transcript,
+    //  its search and timestamps, the caption tracks and the
+    //  downloads work without it, so the connection to the tab is
+    //  made before the API is checked.  This is set once the
+    //  summarize controls are ready.
+    let bIsSummarizerReady = false;
+
+    // Ask the content script in the active tab
+    //  to grab the YouTube transcript.
+    // Find the active tab in the current window
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (tabs[0].id) {
+            // Send a message directly to the content script in the active tab
+            chrome.tabs.sendMessage(tabs[0].id, { action: "grabTranscript", text: "Requesting video transcript." });
+        }
+    });
+
+    /**
+     * Creates a connection with the content script in the active
+     *  tab and listens for the transcript messages it sends.
+     */
+    function connectToActiveTab() {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (tabs[0].id) {
+                // Connect to the content script in the active tab
+                const port = chrome.tabs.connect(tabs[0].id, { name: "popup-content-connection" });
+
+                activeTabPort = port;
+
+                // Listen for messages from the content script
+
+                console.log(`Connecting to active tab...`);
+
+                port.onMessage.addListener((message) => {
+                    console.log("Received from content script:", message);
+
+                    if (message.type === 'status') {
+                        // Show status messages in the progress area.
+                        showProgress(message.text);
+                    } else if (message.type === 'transcriptUnavailable') {
+                        // The content script could not grab the transcript.
+                        showProgress(message.text);
+
+                        console.log(message.text);
+                    } else if (message.type === 'transcriptGrabbed') {
+                        // We have received the text of the transcript.
+                        //  Put it in the input window to summarize the
+                        //  video.
+                        console.log(`Transcript received.  Length: ${message.text.length}`);
+
+                        inputTextArea.value = message.text;
+                        currentTranscriptText = message.text;
+                        currentTranscript = message.transcript || null;
+                        currentVideoDurationSeconds = message.videoDurationSeconds || null;
+                        currentVideoTabInfo = { title: tabs[0].title.replace(/ - YouTube$/, ''), url: tabs[0].url };
+
+                        // Show the caption tracks and the timestamped
+                        //  transcript.
+                        if (message.transcript)
+                            showCaptionTrackChoices(message.transcript);
+                        if (message.transcript && Array.isArray(message.transcript.aryTranscriptLineObjs))
+                            showTranscriptList(message.transcript.aryTranscriptLineObjs);
+
+                        // Schedule summarization, if the summarizer
+                        //  can be used.
+                        if (bIsSummarizerReady)
+                            scheduleSummarization();
+                    } else {
+                        console.log(`Unknown message type: ${message.type}`);
+                    }
+                });
+
+                // Optional: Send a message to grab the transcript,
+                //  in the preferred caption language.
+                port.postMessage({
+                    action: "grabTranscript",
+                    captionOptions: {
+                        languageCodes: getPreferredCaptionLanguages(settings),
+                        preferredKind: settings.preferredCaptionKind
+                    }
+                });
+            }
+        });
+    }
+
+    // Create a connection with the active tab.  The await above
+    //  may finish after the DOM content has been loaded, in which
+    //  case the DOMContentLoaded event has already fired.
+    if (document.readyState === 'loading')
+        document.addEventListener('DOMContentLoaded', connectToActiveTab);
+    else
+        connectToActiveTab();
+
     const summarizationApiAvailable = window.ai !== undefined && window.ai.summarizer !== undefined;
     if (!summarizationApiAvailable) {
-        summarizationUnavailableDialog.showModal();
+        summarizationUnavailableDialog.show();
         return;
     }
 
     const canSummarize = await window.ai.summarizer.capabilities();
     if (canSummarize.available === 'no') {
-        summarizationUnsupportedDialog.showModal();
+        summarizationUnsupportedDialog.show();
         return;
     }
 
     let timeout;
 
+    // The run that is generating the summary, if any.  Each run gets
+    //  the next ID, and only the latest run may write to the output.
+    let latestRunId = 0;
+    let currentRunAbortController = null;
+
+    /**
+     * Stops the run that is generating the summary, if any.
+     */
+    function stopSummarization() {
+        if (currentRunAbortController) {
+            currentRunAbortController.abort();
+            currentRunAbortController = null;
+        }
+
+        stopSummaryButton.classList.add('hidden');
+    }
+
+    // The summarizer sessions, reused across the chunks of a run and
+    //  destroyed when the popup closes.
+    const sessionPool = new SummarizerSessionPool(createSummarizationSession);
+
+    window.addEventListener('pagehide', () => {
+        stopSummarization();
+        sessionPool.destroyAll();
+    });
+
     // This function appends a period (".")
     //  to a string, but only if it does not already end
     //  with an end of sentence character character.
@@ -171,85 +785,383 @@ const initializeApplication = async () => {
         return /[.!?]$/.test(strTrimmed) ? strTrimmed : strTrimmed + '.';
     }
 
+    /**
+     * Builds the options of a summarize() call.
+     *
+     * @param {String} summaryContext - The context, if any.
+     * @param {AbortSignal|null} signal - The abort signal, if any.
+     *
+     * @return {Object}
+     */
+    function buildSummarizeOptions(summaryContext, signal) {
+        const summarizeOptions = {};
+
+        if (summaryContext)
+            summarizeOptions.context = summaryContext;
+        if (signal)
+            summarizeOptions.signal = signal;
+
+        return summarizeOptions;
+    }
+
     /**
      * Summarize one chunk of text.
      *
+     * @param {String} chunkText - The text to summarize.
+     * @param {Number} chunkNum - The index of the chunk.
+     * @param {String} [summaryContext] - Background the
+     *  summarizer is given about the text, if any.
+     * @param {AbortSignal|null} [signal] - Stops the summary
+     *  when the run it belongs to is stopped.
+     * @param {Function|null} [funcOnPartialSummary] - If given,
+     *  the summary is streamed where the browser can, and this
+     *  function is called with the summary so far as it grows.
+     *
      * @return {Promise<string>} - Returns the summary for the
      *  chunk of text.
      */
-    async function doSummarizeOneChunk(chunkText, chunkNum) {
+    async function doSummarizeOneChunk(chunkText, chunkNum, summaryContext = '', signal = null, funcOnPartialSummary = null) {
         if (typeof chunkText !== 'string' || chunkText.length < 1)
             throw new Error(`The chunkText parameter is invalid or empty.`);
 
         if (!Number.isInteger(chunkNum) || chunkNum < 0)
             throw new Error(`The chunkNum parameter must be an integer greater than or equal to 0.`);
 
-        // Create a summarization session.
-        const session = await createSummarizationSession(
-            summaryTypeSelect.value,
-            summaryFormatSelect.value,
-            summaryLengthSelect.value,
-        );
+        // Do not start on a chunk once the run has been stopped.
+        signal?.throwIfAborted();
 
         let chunkSummary = '';
 
         if (chunkText.length > 0) {
             console.log(`Summarizing chunk #${chunkNum}:\n${chunkText}\n\n`)
-            chunkSummary = await session.summarize(chunkText);
+            // The session is shared with the other chunks of the run.
+            chunkSummary = await sessionPool.summarize_async(
+                summaryTypeSelect.value,
+                summaryFormatSelect.value,
+                summaryLengthSelect.value,
+                chunkText,
+                buildSummarizeOptions(summaryContext, signal),
+                funcOnPartialSummary);
         }
 
-        session.destroy();
-
         return chunkSummary;
     }
 
+    /**
+     * Builds the options the chunker is given.  The chunks are
+     *  sized in tokens, measured by a summarizer session if the
+     *  browser can, so they fit its input quota along with the
+     *  context.
+     *
+     * @param {Object} measuringSession - The summarizer session
+     *  that measures the text.
+     * @param {String} [summaryContext] - The context the
+     *  summarizer is given with each chunk.
+     *
+     * @return {Promise<Object>} - The { tokenCounter, maxTokens,
+     *  overlapSentences } chunk options.
+     */
+    async function buildChunkOptions_async(measuringSession, summaryContext = '') {
+        const tokenCounter = new TokenCounter(measuringSession);
+        const contextTokens = summaryContext ? await tokenCounter.count_async(summaryContext) : 0;
+
+        return {
+            tokenCounter: tokenCounter,
+            maxTokens: getMaxChunkTokens(tokenCounter, contextTokens, settings.chunkSize),
+            overlapSentences: settings.chunkOverlapSentences
+        };
+    }
+
     /**
      * Summarize a text block.  Chunkify the text if necessary.
      *
      * @param {String} textToSummarize - The text to summarize.
      * @param {Function} funcStatusMessage - A function that
      *  will be called with status messages generated with
-     *  during this summarization operation.
+     *  during this summarization operation, along with the number
+     *  of chunks summarized so far and the number of chunks.
+     * @param {Object[]|null} [aryTranscriptLines] - The timed
+     *  transcript lines the text was built from, if any.  When
+     *  given, the chunks are built from these lines so each
+     *  chunk summary knows the time range it covers.
+     * @param {String} [summaryContext] - Background the
+     *  summarizer is given with each chunk, like the title of
+     *  the video.
+     * @param {Object[]|null} [aryChapters] - The chapters of the
+     *  video, if any.  When given with the transcript lines, the
+     *  chunks follow the chapters, and each chunk summary has
+     *  the chapterIndex of its chapter.
+     * @param {AbortSignal|null} [signal] - Stops the
+     *  summarization when the run it belongs to is stopped.
+     * @param {Function|null} [funcPartialSummaries] - If given,
+     *  this function is called with the chunk summaries so far
+     *  each time one grows, the last of them still being written.
      *
-     * @return {String[]} - Returns an array containing
-     *  the summaries generated during the summarization
-     *  operation.
+     * @return {Object[]} - Returns an array containing
+     *  the { text, startSeconds, endSeconds, chapterIndex }
+     *  chunk summary objects generated during the summarization
+     *  operation.  The start and end are NULL when no transcript
+     *  lines were given, and the chapter index is NULL when no
+     *  chapters were given.
      */
     async function doSummarize(
             textToSummarize,
-            funcStatusMessage) {
+            funcStatusMessage,
+            aryTranscriptLines = null,
+            summaryContext = '',
+            aryChapters = null,
+            signal = null,
+            funcPartialSummaries = null) {
         if (typeof textToSummarize !== 'string' || textToSummarize.length < 0)
             throw new Error(`The textToSummarize input parameter is empty or invalid.`);
         if (typeof funcStatusMessage !== 'function')
         	throw new Error(`The value in the funcStatusMessage parameter is not a function.`);
 
-        const aryChunks =
-            simpleChunkifyText(textToSummarize);
+        // The chunks are measured with the session that will
+        //  summarize them.
+        const measuringSession = await sessionPool.getSession_async(
+            summaryTypeSelect.value,
+            summaryFormatSelect.value,
+            summaryLengthSelect.value,
+        );
+        const chunkOptions = await buildChunkOptions_async(measuringSession, summaryContext);
+        let aryChunks;
+
+        if (aryTranscriptLines && Array.isArray(aryChapters) && aryChapters.length > 0)
+            aryChunks = await chunkifyTranscriptByChapters_async(aryTranscriptLines, aryChapters, chunkOptions);
+        else if (aryTranscriptLines)
+            aryChunks = await chunkifyTimedTranscript_async(aryTranscriptLines, chunkOptions);
+        else
+            aryChunks = (await chunkifyText_async(textToSummarize, chunkOptions)).map(chunk => {
+                return { text: chunk.text, startSeconds: null, endSeconds: null };
+            });
+
+        signal?.throwIfAborted();
 
         console.info(`aryChunks object:`);
         console.dir(aryChunks, {depth: null, colors: true});
 
-        funcStatusMessage(`Number of chunks to process: ${aryChunks.length}...\n`);
-
         // This array will accumulate the summaries across chunks.
         const arySummaries = [];
 
         for (let i = 0; i < aryChunks.length; i++) {
-            const chunkText = appendPeriodIfNoEosChar(aryChunks[i]);
+            const chunkText = appendPeriodIfNoEosChar(aryChunks[i].text);
 
             if (chunkText.length > 0) {
-                funcStatusMessage(`Summarizing chunk #${i}:\n${chunkText}\n\n`);
-                const chunkSummary = await doSummarizeOneChunk(chunkText, i);
+                funcStatusMessage(`Summarizing chunk ${i + 1} of ${aryChunks.length}...`, i, aryChunks.length);
+                // Tell the summarizer which chapter the chunk is from.
+                const chapter =
+                    typeof aryChunks[i].chapterIndex === 'number' ? aryChapters[aryChunks[i].chapterIndex] : null;
+                const chunkContext = chapter
+                    ? `${summaryContext} This part is the chapter "${chapter.title}".`.trim()
+                    : summaryContext;
+                const buildChunkSummary = (summaryText) => {
+                    return {
+                        text: summaryText,
+                        startSeconds: aryChunks[i].startSeconds,
+                        endSeconds: aryChunks[i].endSeconds,
+                        chapterIndex: chapter ? aryChunks[i].chapterIndex : null
+                    };
+                };
+                const funcOnPartialSummary = funcPartialSummaries
+                    ? (partialSummaryText) => funcPartialSummaries(arySummaries.concat(buildChunkSummary(partialSummaryText)))
+                    : null;
+
+                const chunkSummary = await doSummarizeOneChunk(chunkText, i, chunkContext, signal, funcOnPartialSummary);
+
+                if (chunkSummary.length > 0)
+                    arySummaries.push(buildChunkSummary(appendPeriodIfNoEosChar(chunkSummary) + '\n'));
+            }
+        }
 
-                if (chunkSummary.length > 0) {
-                    arySummaries.push(appendPeriodIfNoEosChar(chunkSummary) + '\n');
-                }
+        funcStatusMessage(`Summarized ${aryChunks.length} chunks.`, aryChunks.length, aryChunks.length);
+
+        return arySummaries;
+    }
+
+    /**
+     * Reduces the chunk summaries to a single summary.  Runs of
+     *  consecutive summaries that fit in one go are summarized
+     *  together, level after level, until one summary is left.
+     *  Summaries too long to go with their neighbours are
+     *  condensed on their own first, and cut down as a last
+     *  resort, so no summarizer call goes over its input quota.
+     *  Each summary above the chunk summaries covers the time range
+     *  of the summaries it was made from, and keeps them in its
+     *  aryChildSummaries.
+     *
+     * @param {Object[]} aryChunkSummaries - The chunk summaries
+     *  doSummarize() returned.
+     * @param {Function} funcStatusMessage - A function that
+     *  will be called with the progress of each level, along with
+     *  the number of groups of the level summarized so far and the
+     *  number of groups.
+     * @param {String} [summaryContext] - Background the
+     *  summarizer is given with each group of summaries.
+     * @param {AbortSignal|null} [signal] - Stops the
+     *  summarization when the run it belongs to is stopped.
+     * @param {Function|null} [funcPartialLevels] - If given, this
+     *  function is called with the levels so far each time a
+     *  summary grows, the last level still being written.
+     *
+     * @return {Promise<Object[][]>} - Returns the levels of the
+     *  summary tree, starting with the chunk summaries.  The last
+     *  level holds the single summary at the top of the tree.
+     */
+    async function doSummarizeTree(
+            aryChunkSummaries,
+            funcStatusMessage,
+            summaryContext = '',
+            signal = null,
+            funcPartialLevels = null) {
+        if (!Array.isArray(aryChunkSummaries))
+            throw new Error(`The aryChunkSummaries parameter is not an array.`);
+        if (typeof funcStatusMessage !== 'function')
+            throw new Error(`The value in the funcStatusMessage parameter is not a function.`);
+
+        const aryLevels = [aryChunkSummaries];
 
-                funcStatusMessage(`Summarized chunk #${i}.  Number of words: ${chunkText.length}...\n`);
+        if (aryChunkSummaries.length < 2)
+            return aryLevels;
+
+        const reduceContext =
+            `${summaryContext} These are summaries of consecutive parts of the text, in order.`.trim();
+        const measuringSession = await sessionPool.getSession_async(
+            summaryTypeSelect.value,
+            summaryFormatSelect.value,
+            summaryLengthSelect.value,
+        );
+        const chunkOptions = await buildChunkOptions_async(measuringSession, reduceContext);
+        let aryLowerLevel = aryChunkSummaries;
+        let bWasCondensed = false;
+
+        while (aryLowerLevel.length > 1) {
+            const levelNum = aryLevels.length;
+            const aryTexts = aryLowerLevel.map(summary => summary.text.trim());
+            let aryGroups = await groupTextsForReduction_async(aryTexts, chunkOptions);
+            const aryLevel = [];
+
+            // When no two neighbouring summaries fit together, the
+            //  level is condensed instead: each summary is summarized
+            //  on its own, to make it shorter.  If that did not make
+            //  room either, the summaries are cut to half the input
+            //  budget and paired up, so the tree always gets smaller.
+            const bMustCondense = aryGroups.length === aryTexts.length && !bWasCondensed;
+
+            if (aryGroups.length === aryTexts.length && bWasCondensed) {
+                const halfChunkOptions =
+                    Object.assign({}, chunkOptions, { maxTokens: Math.max(1, Math.floor((chunkOptions.maxTokens - 1) / 2)) });
+
+                for (let i = 0; i < aryTexts.length; i++)
+                    aryTexts[i] = await fitTextToTokens_async(aryTexts[i], halfChunkOptions);
+
+                aryGroups = [];
+
+                for (let i = 0; i < aryTexts.length; i += 2)
+                    aryGroups.push({ firstNdx: i, lastNdx: Math.min(i + 1, aryTexts.length - 1) });
             }
+
+            bWasCondensed = bMustCondense;
+
+            for (let i = 0; i < aryGroups.length; i++) {
+                const aryChildSummaries = aryLowerLevel.slice(aryGroups[i].firstNdx, aryGroups[i].lastNdx + 1);
+                const buildGroupSummary = (summaryText) => {
+                    return {
+                        text: summaryText,
+                        startSeconds: aryChildSummaries[0].startSeconds,
+                        endSeconds: aryChildSummaries[aryChildSummaries.length - 1].endSeconds,
+                        aryChildSummaries: aryChildSummaries
+                    };
+                };
+                const funcOnPartialSummary = funcPartialLevels
+                    ? (partialSummaryText) =>
+                        funcPartialLevels(aryLevels.concat([aryLevel.concat(buildGroupSummary(partialSummaryText))]))
+                    : null;
+
+                funcStatusMessage(
+                    bMustCondense
+                        ? `Level ${levelNum}: condensing summary ${i + 1} of ${aryGroups.length}...`
+                        : `Level ${levelNum}: summarizing group ${i + 1} of ${aryGroups.length}...`,
+                    i,
+                    aryGroups.length);
+
+                // Unless the level is condensed, a summary left on its
+                //  own moves up a level as it is.
+                const groupSummaryText = aryChildSummaries.length > 1 || bMustCondense
+                    ? await doSummarizeOneChunk(
+                        bMustCondense
+                            ? await fitTextToTokens_async(aryTexts[aryGroups[i].firstNdx], chunkOptions)
+                            : aryTexts.slice(aryGroups[i].firstNdx, aryGroups[i].lastNdx + 1).join('\n'),
+                        i,
+                        reduceContext,
+                        signal,
+                        funcOnPartialSummary)
+                    : aryChildSummaries[0].text;
+
+                aryLevel.push(buildGroupSummary(appendPeriodIfNoEosChar(groupSummaryText) + '\n'));
+            }
+
+            aryLevels.push(aryLevel);
+            aryLowerLevel = aryLevel;
         }
 
-        return arySummaries;
+        return aryLevels;
+    }
+
+    /**
+     * Shows the levels of a summary tree in the output area: the
+     *  summary at the top of the tree first, then the levels in
+     *  between, which can be expanded, and then the chunk or
+     *  chapter summaries.  The output area only ever holds
+     *  summaries; the status goes to the progress area.
+     *
+     * @param {Object[][]} aryLevels - The levels doSummarizeTree()
+     *  returned, starting with the chunk summaries.
+     * @param {Boolean} bIsTranscript - TRUE if the summarized text
+     *  is the grabbed transcript.
+     * @param {String|null} videoId - The YouTube video ID, or NULL
+     *  if the summarized text is not a timed transcript.
+     * @param {Object[]} aryChapters - The chapters of the video,
+     *  if any.
+     */
+    function showSummaryTree(aryLevels, bIsTranscript, videoId, aryChapters) {
+        const arySummaries = aryLevels[0];
+
+        output.textContent = '';
+
+        // Head the summary with the video it belongs to.
+        const videoMetadataElement = bIsTranscript ? buildVideoMetadataElement(buildVideoInfo(currentTranscript)) : null;
+
+        if (videoMetadataElement)
+            output.appendChild(videoMetadataElement);
+
+        // No point in showing a tree for a single chunk summary.
+        //  While the top level is being generated, it may still have
+        //  more than one summary, and is shown expanded.
+        if (aryLevels.length > 1) {
+            const aryTopLevel = aryLevels[aryLevels.length - 1];
+
+            if (aryTopLevel.length === 1)
+                output.appendChild(buildTopSummaryElement(aryTopLevel[0]));
+            else
+                output.appendChild(buildSummaryLevelElement(aryTopLevel, aryLevels.length - 1, videoId, true));
+
+            for (let levelNum = aryLevels.length - 2; levelNum > 0; levelNum--)
+                output.appendChild(buildSummaryLevelElement(aryLevels[levelNum], levelNum, videoId));
+        }
+
+        if (aryChapters.length > 0) {
+            // One section per chapter, under its title.
+            aryChapters.forEach((chapter, chapterIndex) => {
+                const aryChapterSummaries =
+                    arySummaries.filter(chunkSummary => chunkSummary.chapterIndex === chapterIndex);
+
+                if (aryChapterSummaries.length > 0)
+                    output.appendChild(buildChapterSummaryElement(chapter, aryChapterSummaries, videoId));
+            });
+        } else {
+            arySummaries.forEach(chunkSummary => output.appendChild(buildChunkSummaryElement(chunkSummary, videoId)));
+        }
     }
 
     /**
@@ -258,126 +1170,145 @@ const initializeApplication = async () => {
      */
     function scheduleSummarization() {
         clearTimeout(timeout);
-        timeout = setTimeout(async () => {
-            output.textContent = 'Generating summary...\n';
-
-            // Chunkify text to keep summarizations inside the LLM
-            //  token limit.
-            const arySummaries =
-                await doSummarize(
-                    inputTextArea.value,
-                    (statusMsg) => {
-                        output.textContent += statusMsg;
-                    });
-
-            output.textContent = arySummaries.join(' ');
 
-            // No point in summarizing a single chunk summary.
-            //  Check for a length greater than 1.
-            if (arySummaries.length > 1) {
-                const arySummaryOfTheSummaries = [];
+        // A new summary is wanted, so the one being generated is
+        //  out of date.
+        stopSummarization();
 
-                // Now summarize the summaries.  Concatenate
-                //  the summary text.
-                for (let i = 0; i < arySummaries.length; i++) {
-                    if (arySummaries[i].length > 0)
-                        arySummaryOfTheSummaries.push(arySummaries[i]);
+        timeout = setTimeout(async () => {
+            const runId = ++latestRunId;
+            const abortController = new AbortController();
+            const signal = abortController.signal;
+
+            currentRunAbortController = abortController;
+            stopSummaryButton.classList.remove('hidden');
+            showProgress('Generating summary...');
+
+            // Status messages of a run that was replaced are dropped.
+            const bIsLatestRun = () => runId === latestRunId && !signal.aborted;
+            const funcStatusMessage = (statusMsg, numDone = null, numTotal = null) => {
+                if (bIsLatestRun())
+                    showProgress(statusMsg, numDone, numTotal);
+            };
+
+            const runStartTime = performance.now();
+
+            sessionPool.resetMetrics();
+
+            // Only label the summaries with timestamps if the
+            //  input text is still the grabbed transcript.
+            const bIsTranscript =
+                currentTranscript !== null && inputTextArea.value === currentTranscriptText;
+            const videoId = bIsTranscript ? currentTranscript.idOfVideo : null;
+            const summaryContext = bIsTranscript ? buildSummaryContext(currentTranscript) : '';
+            const aryChapters =
+                bIsTranscript && Array.isArray(currentTranscript.aryChapters) ? currentTranscript.aryChapters : [];
+
+            // The summaries are drawn as they stream in, at most once
+            //  per frame.
+            let aryPendingLevels = null;
+            const showLevels = (aryLevels) => {
+                aryPendingLevels = null;
+                showSummaryTree(aryLevels, bIsTranscript, videoId, aryChapters);
+            };
+            const funcPartialLevels = (aryLevels) => {
+                if (!bIsLatestRun())
+                    return;
+
+                if (aryPendingLevels === null) {
+                    requestAnimationFrame(() => {
+                        if (aryPendingLevels !== null && bIsLatestRun())
+                            showLevels(aryPendingLevels);
+                    });
                 }
 
-                const summariesText =
-                    arySummaryOfTheSummaries.join(' ');
+                aryPendingLevels = aryLevels;
+            };
 
-                output.textContent +=
-                    '\n\n==== SUMMARY OF THE SUMMARIES ====\n\n';
+            showLevels([[]]);
 
-                // Summarize the summaries.
-                const aryDerivativeSummaries =
+            try {
+                // Chunkify text to keep summarizations inside the LLM
+                //  token limit.
+                const arySummaries =
                     await doSummarize(
-                        summariesText,
-                        (statusMsg) => {
-                            output.textContent += statusMsg;
-                        });
-
-                const superSummaryText = aryDerivativeSummaries.join('\n');
-
-                output.textContent += superSummaryText;
-
-                console.log(`Summary of the summaries:\n${superSummaryText}\n\n`)
+                        inputTextArea.value,
+                        funcStatusMessage,
+                        bIsTranscript ? currentTranscript.aryTranscriptLineObjs : null,
+                        summaryContext,
+                        aryChapters,
+                        signal,
+                        (aryPartialSummaries) => funcPartialLevels([aryPartialSummaries]));
+
+                if (!bIsLatestRun())
+                    return;
+
+                // Show the chunk summaries while the summary tree is
+                //  built on top of them.
+                showLevels([arySummaries]);
+
+                const aryLevels =
+                    await doSummarizeTree(
+                        arySummaries,
+                        funcStatusMessage,
+                        summaryContext,
+                        signal,
+                        funcPartialLevels);
+
+                if (!bIsLatestRun())
+                    return;
+
+                showLevels(aryLevels);
+
+                const runMilliseconds = performance.now() - runStartTime;
+
+                showProgress(`Summary generated in ${(runMilliseconds / 1000).toFixed(1)} seconds.`);
+                console.log(`Summary tree levels: ${aryLevels.length}`);
+                console.info(`Summarization run took ${Math.round(runMilliseconds)} ms.`, sessionPool.getMetrics());
+            } catch (err) {
+                if (signal.aborted) {
+                    console.info(`Summarization run #${runId} was stopped.`);
+
+                    // Only say so if no other run has taken over.
+                    if (runId === latestRunId)
+                        showProgress('Stopped.');
+                } else if (bIsLatestRun()) {
+                    showProgress(`The summary could not be generated.  Error: ${err.message}`);
+                    console.error(err);
+                }
+            } finally {
+                if (runId === latestRunId) {
+                    currentRunAbortController = null;
+                    stopSummaryButton.classList.add('hidden');
+                }
             }
         }, 1000);
     }
 
+    stopSummaryButton.addEventListener('click', stopSummarization);
+
+    // The summary of the old caption track is out of date.
+    captionTrackSelect.addEventListener('change', stopSummarization);
+
     // Event listeners for UI controls
     summaryTypeSelect.addEventListener('change', scheduleSummarization);
     summaryFormatSelect.addEventListener('change', scheduleSummarization);
     summaryLengthSelect.addEventListener('change', scheduleSummarization);
 
     inputTextArea.addEventListener('input', () => {
-        // Update character count display
+        // Update character count display.  There is no length limit
+        //  to warn about: texts of any length are chunked to fit the
+        //  summarizer's input quota.
         characterCountSpan.textContent = inputTextArea.value.length;
-        if (inputTextArea.value.length > MAX_MODEL_CHARS) {
-            characterCountSpan.classList.add('tokens-exceeded');
-            characterCountExceededSpan.classList.remove('hidden');
-        } else {
-            characterCountSpan.classList.remove('tokens-exceeded');
-            characterCountExceededSpan.classList.add('hidden');
-        }
         scheduleSummarization();
     });
 
-    // Ask the content script in the active tab
-    //  to grab the YouTube transcript.
-    // Find the active tab in the current window
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0].id) {
-            // Send a message directly to the content script in the active tab
-            chrome.tabs.sendMessage(tabs[0].id, { action: "grabTranscript", text: "Requesting video transcript." });
-        }
-    });
-
-    // Create a connection with the active tab.
-    document.addEventListener('DOMContentLoaded', () => {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs[0].id) {
-                // Connect to the content script in the active tab
-                const port = chrome.tabs.connect(tabs[0].id, { name: "popup-content-connection" });
-
-                // Listen for messages from the content script
-
-                console.log(`Connecting to active tab...`);
-
-                port.onMessage.addListener((message) => {
-                    console.log("Received from content script:", message);
-
-                    if (message.type === 'status') {
-                        // Show status messages in the summary area.
-                        output.textContent = message.text;
-                    } else if (message.type === 'transcriptUnavailable') {
-                        // The content script could not grab the transcript.
-                        output.textContent = message.text;
-
-                        console.log(message.text);
-                    } else if (message.type === 'transcriptGrabbed') {
-                        // We have received the text of the transcript.
-                        //  Put it in the input window to summarize the
-                        //  video.
-                        console.log(`Transcript received.  Length: ${message.text.length}`);
-
-                        inputTextArea.value = message.text;
-
-                        // Schedule summarization.
-                        scheduleSummarization();
-                    } else {
-                        console.log(`Unknown message type: ${message.type}`);
-                    }
-                });
-
-                // Optional: Send a message to grab the transcript.
-                port.postMessage({ action: "grabTranscript" });
-            }
-        });
-    });
+    // Summarize the transcript if it arrived while the summarizer
+    //  was being checked.
+    bIsSummarizerReady = true;
 
+    if (inputTextArea.value.length > 0)
+        scheduleSummarization();
 }
 
 // Start the application
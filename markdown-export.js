@@ -0,0 +1,252 @@
+// This file contains the routines that convert the content blocks
+//  extracted by page-extractor.js to Markdown, for the "Save as
+//  Markdown" action of the tab extractor popup.
+
+/**
+ * Escapes the characters in plain text that Markdown would
+ *  otherwise treat as formatting.
+ *
+ * @param {String} text - The text to escape.
+ *
+ * @return {String}
+ */
+function escapeMarkdownText(text) {
+  return text
+      .replace(/([\\`*_[\]<>|])/g, '\\$1')
+      .replace(/^(\s*)([#+-]|\d+\.)(\s)/gm, '$1\\$2$3');
+}
+
+/**
+ * Escapes a URL for use as the destination of a Markdown link or
+ *  image.  Parentheses and white space would end the destination
+ *  early, so they are percent encoded.
+ *
+ * @param {String} url - The URL.
+ *
+ * @return {String}
+ */
+function escapeMarkdownUrl(url) {
+  return String(url).replace(/[()\s]/g, char =>
+      '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+/**
+ * Wraps text in a Markdown code span, using a backtick fence
+ *  longer than any run of backticks inside the text.
+ *
+ * @param {String} text - The code text.
+ *
+ * @return {String}
+ */
+function toMarkdownCodeSpan(text) {
+  const aryBacktickRuns = text.match(/`+/g) || [];
+  const fence = '`'.repeat(Math.max(0, ...aryBacktickRuns.map(run => run.length)) + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Converts the inline spans of a block to Markdown.
+ *
+ * @param {Object[]} arySpans - The spans of the block.
+ *
+ * @return {String}
+ */
+function spansToMarkdown(arySpans) {
+  return arySpans.map(span => {
+    if (span.image)
+      return `![${escapeMarkdownText(span.image.alt)}](${escapeMarkdownUrl(span.image.src)})`;
+
+    // Line breaks from BR elements become hard line breaks.
+    if (span.text === '\n')
+      return '  \n';
+
+    // Emphasis markers must hug the text, so any whitespace at
+    //  either end of the span is moved outside of them.
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(span.text);
+    const leading = match[1];
+    const trailing = match[3];
+    let markdown = match[2];
+
+    if (markdown.length === 0)
+      return span.text;
+
+    if (span.code) {
+      markdown = toMarkdownCodeSpan(markdown);
+    } else {
+      markdown = escapeMarkdownText(markdown).replace(/\n/g, '  \n');
+
+      if (span.bold)
+        markdown = `**${markdown}**`;
+      if (span.italic)
+        markdown = `_${markdown}_`;
+    }
+
+    if (span.href)
+      markdown = `[${markdown}](${escapeMarkdownUrl(span.href)})`;
+
+    return leading + markdown + trailing;
+  }).join('');
+}
+
+/**
+ * Converts a list block to Markdown, indenting nested lists
+ *  under the text of their list item.
+ *
+ * @param {Object} listBlock - The list block.
+ * @param {String} indent - The indentation of the list.
+ *
+ * @return {String}
+ */
+function listBlockToMarkdown(listBlock, indent) {
+  const aryLines = [];
+
+  listBlock.items.forEach((item, ndx) => {
+    const marker = listBlock.ordered ? `${ndx + 1}.` : '-';
+    const childIndent = indent + ' '.repeat(marker.length + 1);
+
+    aryLines.push(`${indent}${marker} ${spansToMarkdown(item.spans).replace(/\n/g, '\n' + childIndent)}`);
+
+    item.lists.forEach(subListBlock => aryLines.push(listBlockToMarkdown(subListBlock, childIndent)));
+  });
+
+  return aryLines.join('\n');
+}
+
+/**
+ * Converts a table block to a GitHub flavored Markdown table.
+ *  Markdown tables must have a header row, so the first row is
+ *  used as the header even when the source table has none.
+ *
+ * @param {Object} tableBlock - The table block.
+ *
+ * @return {String}
+ */
+function tableBlockToMarkdown(tableBlock) {
+  const numColumns = Math.max(...tableBlock.rows.map(aryCells => aryCells.length));
+
+  const rowToMarkdown = (aryCells) => {
+    const aryPaddedCells = [];
+
+    for (let i = 0; i < numColumns; i++)
+      aryPaddedCells.push(escapeMarkdownText((aryCells[i] || '').replace(/\s+/g, ' ')));
+
+    return `| ${aryPaddedCells.join(' | ')} |`;
+  };
+
+  const aryLines = [
+    rowToMarkdown(tableBlock.rows[0]),
+    `|${' --- |'.repeat(numColumns)}`
+  ];
+
+  tableBlock.rows.slice(1).forEach(aryCells => aryLines.push(rowToMarkdown(aryCells)));
+
+  return aryLines.join('\n');
+}
+
+/**
+ * Converts a code block to a fenced Markdown code block.
+ *
+ * @param {Object} codeBlock - The code block.
+ *
+ * @return {String}
+ */
+function codeBlockToMarkdown(codeBlock) {
+  const aryFenceRuns = codeBlock.text.match(/^`{3,}/gm) || [];
+  const fence = '`'.repeat(Math.max(2, ...aryFenceRuns.map(run => run.length)) + 1);
+
+  return `${fence}${codeBlock.language}\n${codeBlock.text}\n${fence}`;
+}
+
+/**
+ * Converts an array of content blocks to Markdown.
+ *
+ * @param {Object[]} aryBlocks - The content blocks, as built by
+ *  collectContentBlocks() in page-extractor.js.
+ *
+ * @return {String}
+ */
+function contentBlocksToMarkdown(aryBlocks) {
+  return aryBlocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${spansToMarkdown(block.spans).replace(/\s*\n\s*/g, ' ')}`;
+      case 'paragraph':
+        return spansToMarkdown(block.spans);
+      case 'list':
+        return listBlockToMarkdown(block, '');
+      case 'table':
+        return tableBlockToMarkdown(block);
+      case 'code':
+        return codeBlockToMarkdown(block);
+      case 'blockquote':
+        return contentBlocksToMarkdown(block.blocks).split('\n').map(line => line.length > 0 ? `> ${line}` : '>').join('\n');
+      case 'image': {
+        const title = block.title ? ` "${block.title.replace(/"/g, '\\"')}"` : '';
+        return `![${escapeMarkdownText(block.alt)}](${escapeMarkdownUrl(block.src)}${title})`;
+      }
+      default:
+        console.warn(`Unknown content block type: ${block.type}`);
+        return '';
+    }
+  }).filter(markdown => markdown.length > 0).join('\n\n');
+}
+
+/**
+ * Builds the YAML front matter block for a content item.
+ *  JSON string literals are valid YAML double quoted scalars,
+ *  so we use JSON.stringify() to quote the values.
+ *
+ * @param {Object} item - The content item.
+ *
+ * @return {String}
+ */
+function buildMarkdownFrontMatter(item) {
+  const aryLines = [
+    '---',
+    `title: ${JSON.stringify(item.title || '')}`,
+    `url: ${JSON.stringify(item.url || '')}`,
+    `captured: ${JSON.stringify(item.capturedAt || '')}`
+  ];
+
+  if (item.byline)
+    aryLines.push(`author: ${JSON.stringify(item.byline)}`);
+  if (item.publishedDate)
+    aryLines.push(`published: ${JSON.stringify(item.publishedDate)}`);
+
+  aryLines.push('---');
+
+  return aryLines.join('\n');
+}
+
+/**
+ * Converts a content item to a Markdown document section with
+ *  its own front matter block.
+ *
+ * @param {Object} item - The content item.
+ * @param {Boolean} onlyLinks - TRUE if only a link to the page
+ *  should be written, without its content.
+ *
+ * @return {String}
+ */
+function contentItemToMarkdown(item, onlyLinks) {
+  const aryParts = [buildMarkdownFrontMatter(item)];
+
+  if (onlyLinks) {
+    aryParts.push(`[${escapeMarkdownText(item.title)}](${item.url})`);
+  } else {
+    aryParts.push(`# ${escapeMarkdownText(item.title)}`);
+    aryParts.push(`<${item.url}>`);
+
+    // Fall back to the plain text when there are no blocks.
+    const body = Array.isArray(item.blocks) && item.blocks.length > 0
+        ? contentBlocksToMarkdown(item.blocks)
+        : escapeMarkdownText(item.content || '');
+
+    if (body.length > 0)
+      aryParts.push(body);
+  }
+
+  return aryParts.join('\n\n') + '\n';
+}
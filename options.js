@@ -0,0 +1,105 @@
+// This file contains the logic of the options page, which edits
+//  the settings defined in settings.js.
+
+/**
+ * Shows the given settings in the options form.
+ *
+ * @param {Object} settings - The settings to show.
+ */
+function showSettings(settings) {
+  document.getElementById('default-export-format').value = settings.defaultExportFormat;
+  document.getElementById('extraction-mode').value = settings.extractionMode;
+  document.getElementById('separate-files').checked = settings.separateFiles;
+  document.getElementById('zip-bundle').checked = settings.zipBundle;
+  document.getElementById('only-links').checked = settings.onlyLinks;
+  document.getElementById('unloaded-tabs').value = settings.unloadedTabs;
+  document.getElementById('extraction-concurrency').value = settings.extractionConcurrency;
+  document.getElementById('tab-timeout-seconds').value = settings.tabTimeoutSeconds;
+  document.getElementById('summarizer-type').value = settings.summarizerType;
+  document.getElementById('summarizer-length').value = settings.summarizerLength;
+  document.getElementById('summarizer-format').value = settings.summarizerFormat;
+  document.getElementById('chunk-size').value = settings.chunkSize;
+  document.getElementById('chunk-overlap-sentences').value = settings.chunkOverlapSentences;
+  document.getElementById('caption-languages').value = settings.captionLanguages;
+  document.getElementById('preferred-caption-kind').value = settings.preferredCaptionKind;
+
+  document.querySelectorAll('.filename-templates input[data-format]').forEach(input => {
+    const format = input.getAttribute('data-format');
+
+    input.value = settings.filenameTemplates[format];
+    input.placeholder = DEFAULT_FILENAME_TEMPLATES[format];
+  });
+}
+
+/**
+ * Reads the settings from the options form.
+ *
+ * @return {Object} The settings, not yet validated.
+ */
+function readSettings() {
+  const filenameTemplates = {};
+
+  document.querySelectorAll('.filename-templates input[data-format]').forEach(input => {
+    filenameTemplates[input.getAttribute('data-format')] = input.value;
+  });
+
+  return {
+    defaultExportFormat: document.getElementById('default-export-format').value,
+    extractionMode: document.getElementById('extraction-mode').value,
+    separateFiles: document.getElementById('separate-files').checked,
+    zipBundle: document.getElementById('zip-bundle').checked,
+    onlyLinks: document.getElementById('only-links').checked,
+    unloadedTabs: document.getElementById('unloaded-tabs').value,
+    extractionConcurrency: parseInt(document.getElementById('extraction-concurrency').value, 10),
+    tabTimeoutSeconds: parseInt(document.getElementById('tab-timeout-seconds').value, 10),
+    filenameTemplates: filenameTemplates,
+    summarizerType: document.getElementById('summarizer-type').value,
+    summarizerLength: document.getElementById('summarizer-length').value,
+    summarizerFormat: document.getElementById('summarizer-format').value,
+    chunkSize: parseInt(document.getElementById('chunk-size').value, 10),
+    chunkOverlapSentences: parseInt(document.getElementById('chunk-overlap-sentences').value, 10),
+    captionLanguages: document.getElementById('caption-languages').value,
+    preferredCaptionKind: document.getElementById('preferred-caption-kind').value
+  };
+}
+
+/**
+ * Shows a status message under the options form for a moment.
+ *
+ * @param {String} message - The message to show.
+ */
+function showOptionsStatus(message) {
+  const statusSpan = document.getElementById('options-status');
+
+  statusSpan.textContent = message;
+  setTimeout(() => { statusSpan.textContent = ''; }, 2000);
+}
+
+/**
+ * Saves the given settings and shows them as they were stored.
+ *
+ * @param {Object} settings - The settings to save.
+ * @param {String} message - The status message to show once they
+ *  are saved.
+ */
+async function storeSettings(settings, message) {
+  try {
+    showSettings(await saveSettings(settings));
+    showOptionsStatus(message);
+  } catch (err) {
+    console.error(err);
+    showOptionsStatus(`Unable to save the options: ${err.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  showSettings(await loadSettings());
+
+  document.getElementById('save-options').addEventListener('click', () => {
+    storeSettings(readSettings(), 'Options saved.');
+  });
+
+  document.getElementById('restore-defaults').addEventListener('click', () => {
+    storeSettings(DEFAULT_SETTINGS, 'Defaults restored.');
+  });
+});
@@ -0,0 +1,1256 @@
+// This file contains the routines that extract the content of a
+//  web page for the tab content extractor.  It is injected on
+//  demand by the popup (see handleAction() in popup.js), so it
+//  may be evaluated more than once in the same isolated world.
+//  For that reason it must only contain function declarations
+//  and "var" statements, since those can be safely redeclared.
+//  Do NOT add top-level "const", "let", or "class" declarations
+//  to this file.
+
+// -------------------- BEGIN: GUESS THE MAIN CONTENT AREA ------------
+
+/**
+ * Attempts to get an extended bounding client rect for a DOM element,
+ * considering overflow, transformations, and other factors that might
+ * affect the true visible size of the element.
+ *
+ * @param {Element} domElement - The DOM element to measure.
+ * @return {DOMRect} An object similar to what getBoundingClientRect() returns but
+ *         potentially adjusted to account for visible overflow, transformations, etc.
+ */
+function getBoundingClientRectExtended(domElement) {
+  const errPrefix = `(getBoundingClientRectExtended) `;
+
+  if (!(domElement instanceof HTMLElement))
+    throw new Error(`${errPrefix}The value in the domElement parameter is not a HTMLElement object.`);
+
+  const rect = domElement.getBoundingClientRect();
+  let extendedRect = { ...rect };
+
+  // Initialize variables to track the furthest extents of children
+  let maxX = rect.right;
+  let maxY = rect.bottom;
+
+  // Recursive function to walk through all children and adjust based on their bounding boxes
+  const adjustForChildren = (element) => {
+    Array.from(element.children).forEach(child => {
+      const childRect = child.getBoundingClientRect();
+
+      // Check for visible overflow or positioning that might extend beyond the parent
+      if (childRect.right > maxX) maxX = childRect.right;
+      if (childRect.bottom > maxY) maxY = childRect.bottom;
+
+      // Recursive call to walk through all descendants
+      adjustForChildren(child);
+    });
+  };
+
+  adjustForChildren(domElement);
+
+  // Adjust the width and height based on the furthest extents found
+  extendedRect.width = maxX - rect.left;
+  extendedRect.height = maxY - rect.top;
+
+  // Create a new DOMRect object for consistency with getBoundingClientRect
+  return new DOMRect(rect.left, rect.top, extendedRect.width, extendedRect.height);
+}
+
+/**
+ * A simple heuristic function to determine if an element is likely to be
+ * part of the non-main content (e.g., header, footer, sidebar).
+ *
+ * @param {Element} el The element to check.
+ * @return {boolean} True if the element is likely a non-content element,
+ *         false otherwise.
+ */
+function isLikelyNonContent(el) {
+  const nonContentKeywords = ['header', 'footer', 'sidebar', 'nav', 'menu', 'advertisement'];
+  const idAndClass = (el.id + ' ' + el.className).toLowerCase();
+
+  return nonContentKeywords.some(keyword => idAndClass.includes(keyword));
+}
+
+/**
+ * Attempts to find the main content area of a web page by identifying the
+ * largest block-level element. It considers elements like DIV, TABLE,
+ * SECTION, ARTICLE, and MAIN, defaulting to the BODY tag if no suitable
+ * candidate is found.
+ *
+ * The heuristic is based on the size (area) of these elements, aiming to
+ * ignore common layout elements such as headers, footers, and sidebars.
+ * Additionally, this function checks for an element with the ID "viewport"
+ * and considers it if its dimensions are larger.  If it can't find
+ * an element with ID "viewport", it tries again for an element
+ * with ID "content".
+ *
+ * @return {Element} The DOM element that is likely to represent the main
+ *         content area of the page.
+ */
+function findMainContentArea() {
+  const errPrefix = `(findMainContentArea) `;
+
+  const tagsToConsider = ['DIV', 'TABLE', 'SECTION', 'ARTICLE', 'MAIN'];
+  let largestElement = document.body; // Default to the body
+  let largestArea = 0;
+
+  let mainContainerElementId = 'viewport';
+
+  // We use certain page specific rules to override
+  //  the "guess" code below for pages we know about.
+  // Additional check for an element with the specific
+  //  ID of "viewport".
+  let mainContainerElement = document.getElementById(mainContainerElementId);
+
+  if (!mainContainerElement) {
+    console.info(`${errPrefix}Unable to find a DIV with element ID: ${mainContainerElementId}`);
+
+    mainContainerElementId = 'content';
+    mainContainerElement = document.getElementById(mainContainerElementId);
+  }
+
+  if (mainContainerElement) {
+    console.info(`${errPrefix}Successfully located main container element using element ID: ${mainContainerElementId}`);
+
+    const rect = getBoundingClientRectExtended(mainContainerElement);
+    const viewportArea = rect.width * rect.height;
+    if (viewportArea > largestArea) {
+      largestElement = mainContainerElement;
+    }
+
+    return largestElement;
+  }
+
+  tagsToConsider.forEach(tag => {
+    const elements = document.getElementsByTagName(tag);
+    for (let i = 0; i < elements.length; i++) {
+      const el = elements[i];
+      const rect = getBoundingClientRectExtended(el);
+      const area = rect.width * rect.height;
+
+      if (area > largestArea && !isLikelyNonContent(el)) {
+        largestArea = area;
+        largestElement = el;
+      }
+    }
+  });
+
+  return largestElement;
+}
+
+// -------------------- END  : GUESS THE MAIN CONTENT AREA ------------
+
+// -------------------- BEGIN: ARTICLE EXTRACTION ------------
+
+// The extraction modes supported by extractPageContent().
+var EXTRACTION_MODE_FULL_PAGE = 'full';
+var EXTRACTION_MODE_ARTICLE = 'article';
+
+// Elements with these tag names never contain article content.
+var ARTICLE_SKIP_TAGS = [
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED',
+  'SVG', 'CANVAS', 'FORM', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA',
+  'NAV', 'ASIDE', 'FOOTER', 'HEADER', 'DIALOG', 'MENU'
+];
+
+// Elements with these ARIA roles never contain article content.
+var ARTICLE_SKIP_ROLES = [
+  'navigation', 'banner', 'contentinfo', 'complementary', 'menu',
+  'menubar', 'dialog', 'alertdialog', 'search', 'toolbar'
+];
+
+// Class name and ID fragments that indicate boilerplate, unless
+//  they also match ARTICLE_MAYBE_CANDIDATE_REGEX.
+var ARTICLE_UNLIKELY_CANDIDATE_REGEX = /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental/i;
+var ARTICLE_MAYBE_CANDIDATE_REGEX = /and|article|body|column|content|main|shadow/i;
+
+// Class name and ID fragments that raise or lower the score
+//  of a candidate block.
+var ARTICLE_POSITIVE_REGEX = /article|blog|body|content|entry|h-entry|hentry|main|page|post|story|text/i;
+var ARTICLE_NEGATIVE_REGEX = /-ad-|banner|combx|comment|com-|contact|cookie|footer|gdpr|hidden|masthead|media|meta|newsletter|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+// Paragraph-like elements shorter than this do not contribute
+//  to the score of their ancestors.
+var ARTICLE_MIN_PARAGRAPH_LENGTH = 25;
+
+// Containers with a higher proportion of link text than this
+//  are considered navigation and are dropped.
+var ARTICLE_MAX_LINK_DENSITY = 0.5;
+
+/**
+ * Returns the upper case tag name of an element.  SVG elements
+ *  report their tag names in lower case, so we normalize them.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {String}
+ */
+function getUpperTagName(el) {
+  return String(el.tagName).toUpperCase();
+}
+
+/**
+ * Returns the class names and the ID of an element as a single
+ *  string, for matching against the boilerplate regexes.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {String}
+ */
+function getClassAndIdString(el) {
+  return (el.getAttribute('class') || '') + ' ' + (el.id || '');
+}
+
+/**
+ * Returns the text content of an element with all runs of
+ *  whitespace collapsed to a single space.
+ *
+ * @param {Node} node - The node to get the text of.
+ *
+ * @return {String}
+ */
+function getNormalizedText(node) {
+  return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the proportion of the text in an element that is
+ *  the text of links.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {Number} A number between 0 and 1.
+ */
+function getLinkDensity(el) {
+  const textLength = getNormalizedText(el).length;
+
+  if (textLength === 0)
+    return 0;
+
+  let linkLength = 0;
+
+  el.querySelectorAll('a').forEach(link => {
+    linkLength += getNormalizedText(link).length;
+  });
+
+  return Math.min(1, linkLength / textLength);
+}
+
+/**
+ * Returns a score adjustment for an element based on its
+ *  class names and ID.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {Number}
+ */
+function getClassWeight(el) {
+  const classAndId = getClassAndIdString(el);
+  let weight = 0;
+
+  if (ARTICLE_NEGATIVE_REGEX.test(classAndId))
+    weight -= 25;
+  if (ARTICLE_POSITIVE_REGEX.test(classAndId))
+    weight += 25;
+
+  return weight;
+}
+
+/**
+ * Returns TRUE if the element is hidden from the reader.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {Boolean}
+ */
+function isHiddenElement(el) {
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true')
+    return true;
+
+  const style = window.getComputedStyle(el);
+
+  return style.display === 'none' || style.visibility === 'hidden';
+}
+
+/**
+ * Returns TRUE if the element is page chrome, like a navigation
+ *  menu, a cookie banner, or a footer, instead of article content.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {Boolean}
+ */
+function isBoilerplateElement(el) {
+  const tagName = getUpperTagName(el);
+
+  if (ARTICLE_SKIP_TAGS.includes(tagName))
+    return true;
+
+  if (ARTICLE_SKIP_ROLES.includes(el.getAttribute('role')))
+    return true;
+
+  // Never throw away the semantic content containers.
+  if (tagName === 'ARTICLE' || tagName === 'MAIN' || el.getAttribute('itemprop') === 'articleBody')
+    return false;
+
+  const classAndId = getClassAndIdString(el);
+
+  return (ARTICLE_UNLIKELY_CANDIDATE_REGEX.test(classAndId) || isLikelyNonContent(el))
+      && !ARTICLE_MAYBE_CANDIDATE_REGEX.test(classAndId);
+}
+
+/**
+ * Returns TRUE if the element contains any child element that
+ *  is not an inline element.
+ *
+ * @param {Element} el - The element to inspect.
+ *
+ * @return {Boolean}
+ */
+function hasBlockChildElement(el) {
+  return Array.from(el.children).some(child => !CONTENT_INLINE_TAGS.includes(getUpperTagName(child)));
+}
+
+/**
+ * Returns the initial score for a candidate block, based on
+ *  its tag name, its semantics, and its class names and ID.
+ *
+ * @param {Element} el - The candidate element.
+ *
+ * @return {Number}
+ */
+function getInitialCandidateScore(el) {
+  let score = getClassWeight(el);
+
+  switch (getUpperTagName(el)) {
+    case 'ARTICLE':
+      score += 10;
+      break;
+    case 'MAIN':
+      score += 8;
+      break;
+    case 'DIV':
+      score += 5;
+      break;
+    case 'SECTION':
+    case 'PRE':
+    case 'TD':
+    case 'BLOCKQUOTE':
+      score += 3;
+      break;
+    case 'ADDRESS':
+    case 'OL':
+    case 'UL':
+    case 'DL':
+    case 'DD':
+    case 'DT':
+    case 'LI':
+    case 'FORM':
+      score -= 3;
+      break;
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6':
+    case 'TH':
+      score -= 5;
+      break;
+  }
+
+  if (el.getAttribute('itemprop') === 'articleBody')
+    score += 25;
+
+  return score;
+}
+
+/**
+ * Scores the blocks of the current page by text density, link
+ *  density and semantic tags, and returns the elements that most
+ *  likely hold the article, in document order.
+ *
+ * @return {Element[]} The elements that make up the article, or
+ *  an empty array if no likely article could be found.
+ */
+function findArticleRootElements() {
+  const mapScores = new Map();
+
+  // Every paragraph-like element adds to the score of its
+  //  nearest ancestors, weighted by how much text it has.
+  const aryParagraphs = Array.from(document.body.querySelectorAll('p, pre, td, blockquote, div'))
+      .filter(el => getUpperTagName(el) !== 'DIV' || !hasBlockChildElement(el));
+
+  aryParagraphs.forEach(paragraphEl => {
+    const text = getNormalizedText(paragraphEl);
+
+    if (text.length < ARTICLE_MIN_PARAGRAPH_LENGTH)
+      return;
+
+    const contentScore = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+
+    let ancestor = paragraphEl.parentElement;
+
+    for (let level = 0; ancestor && ancestor !== document.documentElement && level < 3; level++) {
+      if (isBoilerplateElement(ancestor))
+        break;
+
+      if (!mapScores.has(ancestor))
+        mapScores.set(ancestor, getInitialCandidateScore(ancestor));
+
+      const divider = level === 0 ? 1 : (level === 1 ? 2 : level * 3);
+      mapScores.set(ancestor, mapScores.get(ancestor) + contentScore / divider);
+
+      ancestor = ancestor.parentElement;
+    }
+  });
+
+  // Penalize candidates that are mostly links.
+  let topCandidate = null;
+  let topScore = 0;
+
+  mapScores.forEach((score, el) => {
+    const finalScore = score * (1 - getLinkDensity(el));
+
+    mapScores.set(el, finalScore);
+
+    if (finalScore > topScore) {
+      topScore = finalScore;
+      topCandidate = el;
+    }
+  });
+
+  if (!topCandidate)
+    return [];
+
+  // Articles are often split across sibling containers, so
+  //  also keep the siblings that score well or that hold a
+  //  substantial paragraph of prose.
+  const parentEl = topCandidate.parentElement;
+
+  if (!parentEl || topCandidate === document.body)
+    return [topCandidate];
+
+  const siblingThreshold = Math.max(10, topScore * 0.2);
+
+  return Array.from(parentEl.children).filter(siblingEl => {
+    if (siblingEl === topCandidate)
+      return true;
+
+    if (isBoilerplateElement(siblingEl))
+      return false;
+
+    if (mapScores.has(siblingEl) && mapScores.get(siblingEl) >= siblingThreshold)
+      return true;
+
+    if (getUpperTagName(siblingEl) === 'P') {
+      const text = getNormalizedText(siblingEl);
+      const linkDensity = getLinkDensity(siblingEl);
+
+      return (text.length > 80 && linkDensity < 0.25)
+          || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+    }
+
+    return false;
+  });
+}
+
+/**
+ * Returns the value of the "content" attribute of the first
+ *  META element that matches one of the given selectors.
+ *
+ * @param {String[]} arySelectors - The selectors to try, in
+ *  order of preference.
+ *
+ * @return {String} The value found, or the empty string.
+ */
+function getMetaContent(arySelectors) {
+  for (let i = 0; i < arySelectors.length; i++) {
+    const metaEl = document.querySelector(arySelectors[i]);
+
+    if (metaEl && metaEl.getAttribute('content') && metaEl.getAttribute('content').trim().length > 0)
+      return metaEl.getAttribute('content').trim();
+  }
+
+  return '';
+}
+
+/**
+ * Returns the JSON-LD objects on the page that describe an
+ *  article, flattening arrays and "@graph" containers.
+ *
+ * @return {Object[]}
+ */
+function getJsonLdArticleObjects() {
+  const aryArticleObjs = [];
+
+  const addObj = (obj) => {
+    if (Array.isArray(obj)) {
+      obj.forEach(addObj);
+    } else if (obj && typeof obj === 'object') {
+      if (Array.isArray(obj['@graph']))
+        obj['@graph'].forEach(addObj);
+
+      const aryTypes = [].concat(obj['@type'] || []);
+
+      if (aryTypes.some(type => /Article|BlogPosting|Report|WebPage/.test(String(type))))
+        aryArticleObjs.push(obj);
+    }
+  };
+
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(scriptEl => {
+    try {
+      addObj(JSON.parse(scriptEl.textContent));
+    } catch (err) {
+      // Malformed JSON-LD is common.  Just ignore it.
+    }
+  });
+
+  return aryArticleObjs;
+}
+
+/**
+ * Converts a JSON-LD author value, which may be a string, an
+ *  object with a "name" field, or an array of either, to a
+ *  comma separated list of names.
+ *
+ * @param {*} author - The JSON-LD author value.
+ *
+ * @return {String}
+ */
+function jsonLdAuthorToString(author) {
+  return [].concat(author || [])
+      .map(oneAuthor => typeof oneAuthor === 'string' ? oneAuthor : (oneAuthor && oneAuthor.name) || '')
+      .filter(name => name.trim().length > 0)
+      .join(', ');
+}
+
+/**
+ * Converts a date string to ISO 8601 format if it can be
+ *  parsed.  Otherwise, the trimmed original string is returned.
+ *
+ * @param {String} strDate - The date string to convert.
+ *
+ * @return {String}
+ */
+function normalizeDateString(strDate) {
+  const trimmed = (strDate || '').trim();
+
+  if (trimmed.length === 0)
+    return '';
+
+  const date = new Date(trimmed);
+
+  return isNaN(date.getTime()) ? trimmed : date.toISOString();
+}
+
+/**
+ * Gets the title, byline and published date of the article on
+ *  the current page from its JSON-LD data, its META elements,
+ *  and finally its markup.
+ *
+ * @param {Element[]} aryRootElements - The article root elements.
+ *
+ * @return {{title: String, byline: String, publishedDate: String}}
+ */
+function getArticleDetails(aryRootElements) {
+  const aryJsonLdObjs = getJsonLdArticleObjects();
+
+  const fromJsonLd = (fieldName) => {
+    const obj = aryJsonLdObjs.find(jsonLdObj => jsonLdObj[fieldName]);
+    return obj ? obj[fieldName] : '';
+  };
+
+  const findInArticle = (selector) => {
+    for (let i = 0; i < aryRootElements.length; i++) {
+      const el = aryRootElements[i].matches(selector)
+          ? aryRootElements[i]
+          : aryRootElements[i].querySelector(selector);
+
+      if (el)
+        return el;
+    }
+
+    return document.querySelector(selector);
+  };
+
+  // >>>>> Title
+  let title = String(fromJsonLd('headline') || '').trim()
+      || getMetaContent(['meta[property="og:title"]', 'meta[name="twitter:title"]']);
+
+  if (!title) {
+    const h1El = findInArticle('h1');
+    title = h1El ? getNormalizedText(h1El) : document.title.trim();
+  }
+
+  // >>>>> Byline
+  let byline = jsonLdAuthorToString(fromJsonLd('author'))
+      || getMetaContent(['meta[name="author"]', 'meta[property="article:author"]']);
+
+  if (!byline) {
+    const bylineEl = findInArticle('[rel="author"], [itemprop="author"], .byline, .author');
+    byline = bylineEl ? getNormalizedText(bylineEl) : '';
+  }
+
+  byline = byline.replace(/^by\s+/i, '');
+
+  // >>>>> Published date
+  let publishedDate = String(fromJsonLd('datePublished') || '').trim()
+      || getMetaContent([
+        'meta[property="article:published_time"]',
+        'meta[itemprop="datePublished"]',
+        'meta[name="date"]',
+        'meta[name="pubdate"]',
+        'meta[name="dc.date"]'
+      ]);
+
+  if (!publishedDate) {
+    const timeEl = findInArticle('time[datetime]');
+    publishedDate = timeEl ? timeEl.getAttribute('datetime') : '';
+  }
+
+  return {
+    title: title,
+    byline: byline,
+    publishedDate: normalizeDateString(publishedDate)
+  };
+}
+
+/**
+ * Extracts the main article of the current page, dropping the
+ *  navigation menus, cookie banners, footers and other page
+ *  chrome around it.
+ *
+ * @return {{title: String, byline: String, publishedDate: String, text: String, blocks: Object[]}}
+ */
+function extractArticle() {
+  let aryRootElements = findArticleRootElements();
+
+  if (aryRootElements.length === 0)
+    aryRootElements = [findMainContentArea()];
+
+  const details = getArticleDetails(aryRootElements);
+
+  const aryBlocks = [];
+
+  aryRootElements.forEach(rootEl => collectContentBlocks(rootEl, aryBlocks, true, true));
+
+  // The article's own headline usually repeats the title.
+  if (aryBlocks.length > 0 && aryBlocks[0].type === 'heading' && aryBlocks[0].text === details.title)
+    aryBlocks.shift();
+
+  return {
+    title: details.title,
+    byline: details.byline,
+    publishedDate: details.publishedDate,
+    text: contentBlocksToPlainText(aryBlocks),
+    blocks: aryBlocks
+  };
+}
+
+// -------------------- END  : ARTICLE EXTRACTION ------------
+
+// -------------------- BEGIN: CONTENT BLOCKS ------------
+
+// The walker below converts the DOM tree of a page to an ordered
+//  array of plain "content block" objects, which the popup then
+//  renders in each export format.  The block types are:
+//
+//  - heading:    { type, level, text, spans }
+//  - paragraph:  { type, text, spans }
+//  - list:       { type, ordered, items: [{ text, spans, lists }] }
+//  - code:       { type, language, text }
+//  - table:      { type, hasHeader, rows: [[String]] }
+//  - blockquote: { type, blocks }
+//  - image:      { type, src, alt, title }
+//
+// The "spans" arrays hold the inline runs of text in a block.  Each
+//  span has a "text" field and optionally a "href" field (links),
+//  "bold", "italic" and "code" flags, or an "image" field holding
+//  an { src, alt } object for inline images.
+
+// Tags that are rendered inline and therefore belong to the
+//  paragraph that surrounds them.
+var CONTENT_INLINE_TAGS = [
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'BR', 'CITE', 'CODE', 'DATA', 'DFN',
+  'EM', 'FONT', 'I', 'IMG', 'KBD', 'LABEL', 'MARK', 'Q', 'S', 'SAMP',
+  'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U', 'VAR', 'WBR'
+];
+
+// Tags that are treated as a single paragraph of text when
+//  they only have inline children.
+var CONTENT_PARAGRAPH_TAGS = [
+  'P', 'DT', 'DD', 'FIGCAPTION', 'ADDRESS', 'SUMMARY', 'CAPTION'
+];
+
+// Tags whose content is never visible text.
+var CONTENT_SKIP_TAGS = [
+  'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK'
+];
+
+/**
+ * Returns TRUE if two spans have the same formatting, so that
+ *  they can be merged into one.
+ *
+ * @param {Object} spanA - The first span.
+ * @param {Object} spanB - The second span.
+ *
+ * @return {Boolean}
+ */
+function haveSameSpanStyle(spanA, spanB) {
+  return !spanA.image && !spanB.image
+      && spanA.href === spanB.href
+      && !!spanA.bold === !!spanB.bold
+      && !!spanA.italic === !!spanB.italic
+      && !!spanA.code === !!spanB.code;
+}
+
+/**
+ * Walks an inline node and appends the runs of text it
+ *  contains to the spans array.
+ *
+ * @param {Node} node - The node to walk.
+ * @param {Object[]} arySpans - The array that receives the spans.
+ * @param {Object} style - The formatting inherited from the
+ *  ancestors of the node.
+ */
+function collectInlineSpans(node, arySpans, style) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    arySpans.push({ ...style, text: node.textContent });
+    return;
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE)
+    return;
+
+  const tagName = getUpperTagName(node);
+
+  if (CONTENT_SKIP_TAGS.includes(tagName) || isHiddenElement(node))
+    return;
+
+  if (tagName === 'BR') {
+    arySpans.push({ ...style, text: '\n' });
+    return;
+  }
+
+  if (tagName === 'IMG') {
+    if (node.src)
+      arySpans.push({ text: '', image: { src: node.src, alt: (node.getAttribute('alt') || '').trim() } });
+    return;
+  }
+
+  const childStyle = { ...style };
+
+  if (tagName === 'A' && node.href)
+    childStyle.href = node.href;
+  else if (tagName === 'STRONG' || tagName === 'B')
+    childStyle.bold = true;
+  else if (tagName === 'EM' || tagName === 'I')
+    childStyle.italic = true;
+  else if (tagName === 'CODE' || tagName === 'KBD' || tagName === 'SAMP')
+    childStyle.code = true;
+
+  node.childNodes.forEach(childNode => collectInlineSpans(childNode, arySpans, childStyle));
+}
+
+/**
+ * Collapses the whitespace in an array of spans the way a
+ *  browser would render it, merges neighbouring spans that have
+ *  the same formatting, and drops the empty ones.
+ *
+ * @param {Object[]} arySpans - The raw spans.
+ *
+ * @return {Object[]} The normalized spans.
+ */
+function normalizeSpans(arySpans) {
+  const aryResult = [];
+
+  // Collapse each run of whitespace to one space, but keep the
+  //  line breaks that came from BR elements.
+  arySpans.forEach(span => {
+    const text = span.text === '\n' ? '\n' : span.text.replace(/\s+/g, ' ');
+    const prevSpan = aryResult[aryResult.length - 1];
+    const prevEndsWithSpace = !prevSpan || /[ \n]$/.test(prevSpan.text);
+
+    const useText = prevEndsWithSpace ? text.replace(/^ /, '') : text;
+
+    if (useText.length === 0 && !span.image)
+      return;
+
+    if (prevSpan && haveSameSpanStyle(prevSpan, span))
+      prevSpan.text += useText;
+    else
+      aryResult.push({ ...span, text: useText });
+  });
+
+  // Trim the whitespace at both ends of the block.
+  while (aryResult.length > 0 && !aryResult[0].image && aryResult[0].text.trim().length === 0)
+    aryResult.shift();
+  while (aryResult.length > 0 && !aryResult[aryResult.length - 1].image && aryResult[aryResult.length - 1].text.trim().length === 0)
+    aryResult.pop();
+
+  if (aryResult.length > 0) {
+    aryResult[0].text = aryResult[0].text.replace(/^\s+/, '');
+    aryResult[aryResult.length - 1].text = aryResult[aryResult.length - 1].text.replace(/\s+$/, '');
+  }
+
+  return aryResult;
+}
+
+/**
+ * Returns the plain text of an array of spans.
+ *
+ * @param {Object[]} arySpans - The spans.
+ *
+ * @return {String}
+ */
+function spansToText(arySpans) {
+  return arySpans.map(span => span.text).join('');
+}
+
+/**
+ * Builds a heading or paragraph block from the inline content
+ *  of an element, or a sequence of inline nodes.
+ *
+ * @param {String} type - The block type.
+ * @param {Node[]} aryNodes - The nodes to take the text from.
+ *
+ * @return {Object|null} The block, or NULL if it has no content.
+ */
+function buildTextBlock(type, aryNodes) {
+  const arySpans = [];
+
+  aryNodes.forEach(node => collectInlineSpans(node, arySpans, {}));
+
+  const aryNormalizedSpans = normalizeSpans(arySpans);
+
+  if (aryNormalizedSpans.length === 0)
+    return null;
+
+  // A paragraph that only holds one image is an image block.
+  if (type === 'paragraph' && aryNormalizedSpans.length === 1 && aryNormalizedSpans[0].image) {
+    const image = aryNormalizedSpans[0].image;
+    return { type: 'image', src: image.src, alt: image.alt, title: '' };
+  }
+
+  return { type: type, text: spansToText(aryNormalizedSpans), spans: aryNormalizedSpans };
+}
+
+/**
+ * Builds a list block from a UL or OL element.
+ *
+ * @param {Element} listEl - The list element.
+ * @param {Boolean} bDropBoilerplate - TRUE if nested boilerplate
+ *  should be dropped.
+ *
+ * @return {Object|null} The list block, or NULL if the list
+ *  has no items.
+ */
+function buildListBlock(listEl, bDropBoilerplate) {
+  const aryItems = [];
+
+  Array.from(listEl.children).forEach(itemEl => {
+    if (getUpperTagName(itemEl) !== 'LI' || isHiddenElement(itemEl))
+      return;
+
+    const aryInlineNodes = [];
+    const aryLists = [];
+
+    itemEl.childNodes.forEach(childNode => {
+      const childTagName = childNode.nodeType === Node.ELEMENT_NODE ? getUpperTagName(childNode) : '';
+
+      if (childTagName === 'UL' || childTagName === 'OL') {
+        if (!isHiddenElement(childNode)) {
+          const subListBlock = buildListBlock(childNode, bDropBoilerplate);
+          if (subListBlock)
+            aryLists.push(subListBlock);
+        }
+      } else {
+        // Block children of an item, like paragraphs, are flattened
+        //  into the item's text.
+        if (childTagName && !CONTENT_INLINE_TAGS.includes(childTagName))
+          aryInlineNodes.push(document.createTextNode(' '));
+        aryInlineNodes.push(childNode);
+      }
+    });
+
+    const aryRawSpans = [];
+    aryInlineNodes.forEach(node => collectInlineSpans(node, aryRawSpans, {}));
+
+    const arySpans = normalizeSpans(aryRawSpans);
+
+    if (arySpans.length > 0 || aryLists.length > 0)
+      aryItems.push({ text: spansToText(arySpans), spans: arySpans, lists: aryLists });
+  });
+
+  if (aryItems.length === 0)
+    return null;
+
+  return { type: 'list', ordered: getUpperTagName(listEl) === 'OL', items: aryItems };
+}
+
+/**
+ * Builds a table block from a TABLE element.
+ *
+ * @param {Element} tableEl - The table element.
+ *
+ * @return {Object|null} The table block, or NULL if the table
+ *  has no cells with text in them.
+ */
+function buildTableBlock(tableEl) {
+  const aryRows = Array.from(tableEl.rows)
+      .filter(rowEl => !isHiddenElement(rowEl))
+      .map(rowEl => Array.from(rowEl.cells).map(cellEl => getNormalizedText(cellEl)))
+      .filter(aryCells => aryCells.some(cellText => cellText.length > 0));
+
+  if (aryRows.length === 0)
+    return null;
+
+  const firstRowEl = tableEl.rows[0];
+  const hasHeader = !!tableEl.tHead
+      || (!!firstRowEl && Array.from(firstRowEl.cells).every(cellEl => getUpperTagName(cellEl) === 'TH'));
+
+  return { type: 'table', hasHeader: hasHeader, rows: aryRows };
+}
+
+/**
+ * Returns TRUE if a table is used for page layout instead of
+ *  holding tabular data.
+ *
+ * @param {Element} tableEl - The table element.
+ *
+ * @return {Boolean}
+ */
+function isLayoutTable(tableEl) {
+  if (tableEl.getAttribute('role') === 'presentation' || tableEl.querySelector('table'))
+    return true;
+
+  return Array.from(tableEl.querySelectorAll('td, th')).some(cellEl => hasBlockChildElement(cellEl));
+}
+
+/**
+ * Returns the language of a code block from the "language-*"
+ *  or "lang-*" class names used by most syntax highlighters.
+ *
+ * @param {Element} preEl - The PRE element.
+ *
+ * @return {String} The language, or the empty string.
+ */
+function getCodeLanguage(preEl) {
+  const codeEl = preEl.querySelector('code');
+  const classNames = (preEl.getAttribute('class') || '') + ' ' + (codeEl ? (codeEl.getAttribute('class') || '') : '');
+  const match = /(?:^|\s)(?:language|lang)-([\w+#-]+)/.exec(classNames);
+
+  return match ? match[1] : '';
+}
+
+/**
+ * Walks the given element and appends the content blocks it
+ *  contains to the blocks array.  Hidden elements are always
+ *  dropped.
+ *
+ * @param {Element} el - The element to walk.
+ * @param {Object[]} aryBlocks - The array that receives the blocks.
+ * @param {Boolean} bDropBoilerplate - TRUE if navigation menus,
+ *  banners, footers and other page chrome should be dropped, as
+ *  is done in article mode.
+ * @param {Boolean} bIsRoot - TRUE if the element is the root of
+ *  the walk, in which case it is never dropped.
+ */
+function collectContentBlocks(el, aryBlocks, bDropBoilerplate, bIsRoot) {
+  const tagName = getUpperTagName(el);
+
+  if (CONTENT_SKIP_TAGS.includes(tagName))
+    return;
+
+  if (!bIsRoot) {
+    if (isHiddenElement(el) || (bDropBoilerplate && isBoilerplateElement(el)))
+      return;
+  }
+
+  const pushBlock = (block) => {
+    if (block)
+      aryBlocks.push(block);
+  };
+
+  const headingMatch = /^H([1-6])$/.exec(tagName);
+
+  if (headingMatch) {
+    const block = buildTextBlock('heading', [el]);
+
+    if (block && block.type === 'heading')
+      aryBlocks.push({ type: 'heading', level: parseInt(headingMatch[1], 10), text: block.text, spans: block.spans });
+
+    return;
+  }
+
+  if (tagName === 'PRE') {
+    const text = (el.textContent || '').replace(/^\n+|\s+$/g, '');
+
+    if (text.length > 0)
+      aryBlocks.push({ type: 'code', language: getCodeLanguage(el), text: text });
+
+    return;
+  }
+
+  if (tagName === 'IMG') {
+    if (el.src)
+      aryBlocks.push({ type: 'image', src: el.src, alt: (el.getAttribute('alt') || '').trim(), title: (el.getAttribute('title') || '').trim() });
+
+    return;
+  }
+
+  // Lists, tables and other containers that are mostly links are
+  //  menus or link farms, not article content.
+  if (bDropBoilerplate && !bIsRoot && getLinkDensity(el) > ARTICLE_MAX_LINK_DENSITY)
+    return;
+
+  if (tagName === 'UL' || tagName === 'OL') {
+    pushBlock(buildListBlock(el, bDropBoilerplate));
+    return;
+  }
+
+  if (tagName === 'TABLE' && !isLayoutTable(el)) {
+    pushBlock(buildTableBlock(el));
+    return;
+  }
+
+  if (tagName === 'BLOCKQUOTE') {
+    const aryQuoteBlocks = [];
+
+    collectChildContentBlocks(el, aryQuoteBlocks, bDropBoilerplate);
+
+    if (aryQuoteBlocks.length > 0)
+      aryBlocks.push({ type: 'blockquote', blocks: aryQuoteBlocks });
+
+    return;
+  }
+
+  if (CONTENT_PARAGRAPH_TAGS.includes(tagName) && !hasBlockChildElement(el)) {
+    pushBlock(buildTextBlock('paragraph', [el]));
+    return;
+  }
+
+  collectChildContentBlocks(el, aryBlocks, bDropBoilerplate);
+}
+
+/**
+ * Walks the children of a container element and appends the
+ *  content blocks they contain to the blocks array.  Inline
+ *  content that sits directly inside the container, next to
+ *  block children, is gathered into its own paragraph.
+ *
+ * @param {Element} el - The container element.
+ * @param {Object[]} aryBlocks - The array that receives the blocks.
+ * @param {Boolean} bDropBoilerplate - TRUE if page chrome should
+ *  be dropped.
+ */
+function collectChildContentBlocks(el, aryBlocks, bDropBoilerplate) {
+  let aryInlineNodes = [];
+
+  const flushInlineNodes = () => {
+    const block = buildTextBlock('paragraph', aryInlineNodes);
+
+    if (block)
+      aryBlocks.push(block);
+
+    aryInlineNodes = [];
+  };
+
+  el.childNodes.forEach(childNode => {
+    if (childNode.nodeType === Node.TEXT_NODE) {
+      aryInlineNodes.push(childNode);
+    } else if (childNode.nodeType === Node.ELEMENT_NODE) {
+      if (CONTENT_INLINE_TAGS.includes(getUpperTagName(childNode))) {
+        aryInlineNodes.push(childNode);
+      } else {
+        flushInlineNodes();
+        collectContentBlocks(childNode, aryBlocks, bDropBoilerplate, false);
+      }
+    }
+  });
+
+  flushInlineNodes();
+}
+
+/**
+ * Converts an array of content blocks to plain text, with the
+ *  blocks separated by blank lines.
+ *
+ * @param {Object[]} aryBlocks - The blocks to convert.
+ *
+ * @return {String}
+ */
+function contentBlocksToPlainText(aryBlocks) {
+  const listToLines = (listBlock, indent) => {
+    const aryLines = [];
+
+    listBlock.items.forEach((item, ndx) => {
+      const marker = listBlock.ordered ? `${ndx + 1}.` : '-';
+      aryLines.push(`${indent}${marker} ${item.text}`);
+      item.lists.forEach(subListBlock => aryLines.push(...listToLines(subListBlock, indent + '  ')));
+    });
+
+    return aryLines;
+  };
+
+  return aryBlocks.map(block => {
+    switch (block.type) {
+      case 'list':
+        return listToLines(block, '').join('\n');
+      case 'table':
+        return block.rows.map(aryCells => aryCells.join(' | ')).join('\n');
+      case 'blockquote':
+        return contentBlocksToPlainText(block.blocks);
+      case 'image':
+        return '';
+      default:
+        return block.text;
+    }
+  }).filter(text => text.length > 0).join('\n\n');
+}
+
+/**
+ * Returns the links in an array of content blocks, in document
+ *  order, with duplicate links dropped.
+ *
+ * @param {Object[]} aryBlocks - The content blocks.
+ *
+ * @return {{text: String, href: String}[]}
+ */
+function getContentBlockLinks(aryBlocks) {
+  const aryLinks = [];
+  const setSeenLinks = new Set();
+
+  const addSpanLinks = (arySpans) => {
+    // Neighbouring spans of one link, like a link with a bold
+    //  word in it, are joined to get the full anchor text.
+    let currentLink = null;
+
+    arySpans.forEach(span => {
+      if (span.href && currentLink && currentLink.href === span.href) {
+        currentLink.text += span.text;
+      } else {
+        currentLink = span.href ? { text: span.text, href: span.href } : null;
+
+        if (currentLink)
+          aryLinks.push(currentLink);
+      }
+    });
+  };
+
+  const walkBlocks = (aryBlocksToWalk) => {
+    aryBlocksToWalk.forEach(block => {
+      if (block.spans)
+        addSpanLinks(block.spans);
+      if (block.blocks)
+        walkBlocks(block.blocks);
+      if (block.items)
+        block.items.forEach(item => {
+          addSpanLinks(item.spans);
+          walkBlocks(item.lists);
+        });
+    });
+  };
+
+  walkBlocks(aryBlocks);
+
+  return aryLinks
+      .map(link => ({ text: link.text.replace(/\s+/g, ' ').trim(), href: link.href }))
+      .filter(link => {
+        const key = link.href + '\n' + link.text;
+
+        if (!/^(https?|ftp|mailto):/i.test(link.href) || setSeenLinks.has(key))
+          return false;
+
+        setSeenLinks.add(key);
+        return true;
+      });
+}
+
+// -------------------- END  : CONTENT BLOCKS ------------
+
+// -------------------- BEGIN: PAGE METADATA ------------
+
+/**
+ * Gets the metadata of the current page: its meta description,
+ *  canonical URL, language, and OpenGraph properties.
+ *
+ * @return {{description: String, canonicalUrl: String, language: String, openGraph: Object}}
+ */
+function getPageMetadata() {
+  // Only the first value of repeated OpenGraph properties, like
+  //  "og:image", is kept.
+  const openGraph = {};
+
+  document.querySelectorAll('meta[property^="og:"]').forEach(metaEl => {
+    const key = metaEl.getAttribute('property').substring('og:'.length);
+    const value = (metaEl.getAttribute('content') || '').trim();
+
+    if (key.length > 0 && value.length > 0 && !(key in openGraph))
+      openGraph[key] = value;
+  });
+
+  const canonicalEl = document.querySelector('link[rel="canonical"]');
+
+  return {
+    description: getMetaContent(['meta[name="description"]', 'meta[property="og:description"]']),
+    canonicalUrl: canonicalEl && canonicalEl.href ? canonicalEl.href : '',
+    language: (document.documentElement.getAttribute('lang') || getMetaContent(['meta[http-equiv="content-language"]'])).trim(),
+    openGraph: openGraph
+  };
+}
+
+// -------------------- END  : PAGE METADATA ------------
+
+// -------------------- BEGIN: PAGE CONTENT EXTRACTION ------------
+
+/**
+ * Extracts the content of the current page.  This is the entry
+ *  point called by the popup after it injects this file.
+ *
+ * @param {String} extractionMode - Either EXTRACTION_MODE_FULL_PAGE
+ *  to get all the visible text on the page, or EXTRACTION_MODE_ARTICLE
+ *  to get only the page's main article.
+ *
+ * @return {{mode: String, title: String, byline: String, publishedDate: String, text: String, blocks: Object[], links: Object[], metadata: Object}}
+ *  The "blocks" field holds the content blocks of the page, as
+ *  described in the CONTENT BLOCKS section above, and the "links"
+ *  field holds the links found in those blocks.
+ */
+function extractPageContent(extractionMode) {
+  const errPrefix = '(extractPageContent) ';
+
+  let pageContent = null;
+
+  if (extractionMode === EXTRACTION_MODE_ARTICLE) {
+    const article = extractArticle();
+
+    // Fall back to the whole page if we found nothing to keep.
+    if (article.text.trim().length > 0)
+      pageContent = { mode: EXTRACTION_MODE_ARTICLE, ...article };
+  } else if (extractionMode !== EXTRACTION_MODE_FULL_PAGE) {
+    throw new Error(`${errPrefix}Invalid extraction mode: ${extractionMode}`);
+  }
+
+  if (!pageContent) {
+    const aryBlocks = [];
+
+    collectContentBlocks(document.body, aryBlocks, false, true);
+
+    pageContent = {
+      mode: EXTRACTION_MODE_FULL_PAGE,
+      title: document.title,
+      byline: '',
+      publishedDate: '',
+      text: document.body.innerText,
+      blocks: aryBlocks
+    };
+  }
+
+  pageContent.links = getContentBlockLinks(pageContent.blocks);
+  pageContent.metadata = getPageMetadata();
+
+  return pageContent;
+}
+
+// -------------------- END  : PAGE CONTENT EXTRACTION ------------
@@ -0,0 +1,531 @@
+// This file contains the layout engine for the PDF export of the
+//  tab extractor popup.  It flows the content of each tab across
+//  as many pages as it needs, adds page headers and footers, and
+//  builds a clickable table of contents for multi-tab exports.
+//
+// All the measurements are in millimeters, the jsPDF default unit.
+
+const PDF_MARGIN_X = 20;
+const PDF_CONTENT_TOP = 25;
+const PDF_CONTENT_BOTTOM_MARGIN = 22;
+const PDF_HEADER_Y = 12;
+const PDF_FOOTER_OFFSET_Y = 10;
+const PDF_LINE_HEIGHT_FACTOR = 1.15;
+
+const PDF_BODY_FONT_SIZE = 10;
+const PDF_CODE_FONT_SIZE = 9;
+const PDF_HEADER_FONT_SIZE = 8;
+const PDF_TITLE_FONT_SIZE = 16;
+
+// The font sizes of headings, by heading level.
+const PDF_HEADING_FONT_SIZES = [16, 14, 12.5, 11, 10.5, 10];
+
+// The RGB colors used for the text.
+const PDF_COLOR_TEXT = [0, 0, 0];
+const PDF_COLOR_LINK = [0, 0, 238];
+const PDF_COLOR_MUTED = [110, 110, 110];
+
+/**
+ * Class object that lays out text on the pages of a jsPDF
+ *  document, starting a new page whenever the current one
+ *  is full.
+ */
+class PdfLayoutWriter {
+  /**
+   * @param {Object} doc - The jsPDF document to write to.
+   */
+  constructor(doc) {
+    const methodName = 'PdfLayoutWriter' + '::' + `constructor`;
+    const errPrefix = '(' + methodName + ') ';
+
+    if (!doc || typeof doc.splitTextToSize !== 'function')
+      throw new Error(`${errPrefix}The doc parameter is not a jsPDF document.`);
+
+    /** @property {Object} - The jsPDF document. */
+    this.doc = doc;
+
+    /** @property {Number} - The page dimensions. */
+    this.pageWidth = doc.internal.pageSize.getWidth();
+    this.pageHeight = doc.internal.pageSize.getHeight();
+
+    /** @property {Number} - The width available for text. */
+    this.contentWidth = this.pageWidth - 2 * PDF_MARGIN_X;
+
+    /** @property {Number} - The vertical position of the top
+     *   of the next line of text on the current page.
+     */
+    this.y = PDF_CONTENT_TOP;
+
+    /** @property {String} - The title shown in the header of
+     *   the pages that are started from now on.
+     */
+    this.currentHeaderTitle = '';
+
+    /** @property {String[]} - The header title of each page,
+     *   by page number minus one.
+     */
+    this.aryPageHeaderTitles = [''];
+  }
+
+  /**
+   * Returns the number of the page being written to.
+   *
+   * @return {Number}
+   */
+  getPageNumber() {
+    return this.doc.internal.getNumberOfPages();
+  }
+
+  /**
+   * Returns the height of one line of text in the given font size.
+   *
+   * @param {Number} fontSize - The font size in points.
+   *
+   * @return {Number}
+   */
+  getLineHeight(fontSize) {
+    return fontSize * PDF_LINE_HEIGHT_FACTOR / this.doc.internal.scaleFactor;
+  }
+
+  /**
+   * Sets the header title of the current page and of the pages
+   *  started after it.
+   *
+   * @param {String} title - The header title.
+   */
+  setHeaderTitle(title) {
+    this.currentHeaderTitle = title;
+    this.aryPageHeaderTitles[this.getPageNumber() - 1] = title;
+  }
+
+  /**
+   * Starts a new page.
+   */
+  startNewPage() {
+    this.doc.addPage();
+    this.y = PDF_CONTENT_TOP;
+    this.aryPageHeaderTitles[this.getPageNumber() - 1] = this.currentHeaderTitle;
+  }
+
+  /**
+   * Starts a new page unless there is enough room left on the
+   *  current page for content of the given height.
+   *
+   * @param {Number} height - The height of the content.
+   */
+  ensureSpace(height) {
+    if (this.y + height > this.pageHeight - PDF_CONTENT_BOTTOM_MARGIN)
+      this.startNewPage();
+  }
+
+  /**
+   * Adds vertical space, unless we are at the top of a page.
+   *
+   * @param {Number} height - The height of the space.
+   */
+  addSpace(height) {
+    if (this.y > PDF_CONTENT_TOP)
+      this.y += height;
+  }
+
+  /**
+   * Sets the font and color for the text drawn next.
+   *
+   * @param {Object} style - The text style.
+   */
+  applyStyle(style) {
+    this.doc.setFont(style.fontName || 'helvetica', style.fontStyle || 'normal');
+    this.doc.setFontSize(style.fontSize || PDF_BODY_FONT_SIZE);
+    this.doc.setTextColor(...(style.color || PDF_COLOR_TEXT));
+  }
+
+  /**
+   * Wraps text to the available width and writes it, flowing
+   *  it onto new pages as needed.  Links are drawn in the link
+   *  color and made clickable.
+   *
+   * @param {String} text - The text to write.
+   * @param {Object} [style] - The text style: fontName, fontStyle,
+   *  fontSize and color, plus these layout options:
+   *  - indent: the indentation of the text.
+   *  - marker: a list marker drawn in front of the first line.
+   *  - links: an array of { start, end, url } character ranges
+   *    of the text that are links.
+   *  - align: 'center' to center each line.
+   */
+  writeText(text, style = {}) {
+    const fontSize = style.fontSize || PDF_BODY_FONT_SIZE;
+    const lineHeight = this.getLineHeight(fontSize);
+    const indent = style.indent || 0;
+    const aryLinks = style.links || [];
+
+    this.applyStyle(style);
+
+    const aryLines = this.doc.splitTextToSize(text, this.contentWidth - indent);
+
+    // Find where each wrapped line starts in the original text, so
+    //  that we can tell which parts of which lines are links.
+    let searchPos = 0;
+
+    aryLines.forEach((line, lineNdx) => {
+      this.ensureSpace(lineHeight);
+
+      const baselineY = this.y + lineHeight * 0.8;
+      let x = PDF_MARGIN_X + indent;
+
+      if (style.align === 'center')
+        x = (this.pageWidth - this.doc.getTextWidth(line)) / 2;
+
+      if (lineNdx === 0 && style.marker)
+        this.doc.text(style.marker, x - this.doc.getTextWidth(style.marker + ' '), baselineY);
+
+      const lineStart = text.indexOf(line, searchPos);
+
+      if (lineStart < 0 || aryLinks.length === 0) {
+        this.doc.text(line, x, baselineY);
+      } else {
+        searchPos = lineStart + line.length;
+        this.writeLineSegments(line, lineStart, aryLinks, x, baselineY, lineHeight, style);
+      }
+
+      this.y += lineHeight;
+    });
+  }
+
+  /**
+   * Draws one wrapped line of text that contains links, one
+   *  segment at a time.
+   *
+   * @param {String} line - The line of text.
+   * @param {Number} lineStart - The position of the line in the
+   *  full text.
+   * @param {Object[]} aryLinks - The link ranges of the full text.
+   * @param {Number} x - The horizontal position of the line.
+   * @param {Number} baselineY - The baseline of the line.
+   * @param {Number} lineHeight - The height of the line.
+   * @param {Object} style - The text style.
+   */
+  writeLineSegments(line, lineStart, aryLinks, x, baselineY, lineHeight, style) {
+    const lineEnd = lineStart + line.length;
+    let pos = lineStart;
+    let segmentX = x;
+
+    const drawSegment = (segmentEnd, url) => {
+      if (segmentEnd <= pos)
+        return;
+
+      const segmentText = line.substring(pos - lineStart, segmentEnd - lineStart);
+      const segmentWidth = this.doc.getTextWidth(segmentText);
+
+      this.doc.setTextColor(...(url ? PDF_COLOR_LINK : (style.color || PDF_COLOR_TEXT)));
+      this.doc.text(segmentText, segmentX, baselineY);
+
+      if (url)
+        this.doc.link(segmentX, this.y, segmentWidth, lineHeight, { url: url });
+
+      segmentX += segmentWidth;
+      pos = segmentEnd;
+    };
+
+    aryLinks
+        .filter(link => link.start < lineEnd && link.end > lineStart)
+        .forEach(link => {
+          drawSegment(Math.max(link.start, lineStart), null);
+          drawSegment(Math.min(link.end, lineEnd), link.url);
+        });
+
+    drawSegment(lineEnd, null);
+
+    this.doc.setTextColor(...(style.color || PDF_COLOR_TEXT));
+  }
+
+  /**
+   * Shortens a single line of text with an ellipsis until it
+   *  fits the given width in the current font.
+   *
+   * @param {String} text - The text to shorten.
+   * @param {Number} maxWidth - The available width.
+   *
+   * @return {String}
+   */
+  truncateToWidth(text, maxWidth) {
+    if (this.doc.getTextWidth(text) <= maxWidth)
+      return text;
+
+    let truncated = text;
+
+    while (truncated.length > 0 && this.doc.getTextWidth(truncated + '...') > maxWidth)
+      truncated = truncated.substring(0, truncated.length - 1);
+
+    return truncated + '...';
+  }
+
+  /**
+   * Draws the header and the footer of every page: the header
+   *  title of the page, and the page number.
+   */
+  drawHeadersAndFooters() {
+    const numPages = this.getPageNumber();
+
+    for (let pageNumber = 1; pageNumber <= numPages; pageNumber++) {
+      this.doc.setPage(pageNumber);
+      this.applyStyle({ fontSize: PDF_HEADER_FONT_SIZE, color: PDF_COLOR_MUTED });
+
+      const headerTitle = this.aryPageHeaderTitles[pageNumber - 1] || '';
+
+      if (headerTitle.length > 0) {
+        this.doc.text(this.truncateToWidth(headerTitle, this.contentWidth), PDF_MARGIN_X, PDF_HEADER_Y);
+        this.doc.setDrawColor(...PDF_COLOR_MUTED);
+        this.doc.setLineWidth(0.2);
+        this.doc.line(PDF_MARGIN_X, PDF_HEADER_Y + 2, this.pageWidth - PDF_MARGIN_X, PDF_HEADER_Y + 2);
+      }
+
+      const footerText = `Page ${pageNumber} of ${numPages}`;
+
+      this.doc.text(footerText, (this.pageWidth - this.doc.getTextWidth(footerText)) / 2, this.pageHeight - PDF_FOOTER_OFFSET_Y);
+    }
+  }
+}
+
+/**
+ * Converts the spans of a block to plain text plus the character
+ *  ranges of its links, for PdfLayoutWriter.writeText().
+ *
+ * @param {Object[]} arySpans - The spans of the block.
+ *
+ * @return {{text: String, links: Object[]}}
+ */
+function spansToPdfText(arySpans) {
+  let text = '';
+  const aryLinks = [];
+
+  arySpans.forEach(span => {
+    const spanText = span.image ? (span.image.alt ? `[${span.image.alt}]` : '') : span.text;
+
+    if (span.href && spanText.length > 0)
+      aryLinks.push({ start: text.length, end: text.length + spanText.length, url: span.href });
+
+    text += spanText;
+  });
+
+  return { text: text, links: aryLinks };
+}
+
+/**
+ * Writes an array of content blocks to a PDF document.
+ *
+ * @param {PdfLayoutWriter} writer - The layout writer.
+ * @param {Object[]} aryBlocks - The content blocks, as built by
+ *  collectContentBlocks() in page-extractor.js.
+ * @param {Number} indent - The indentation of the blocks.
+ * @param {String} fontStyle - The font style of the blocks.
+ */
+function writePdfContentBlocks(writer, aryBlocks, indent, fontStyle) {
+  const paragraphSpacing = writer.getLineHeight(PDF_BODY_FONT_SIZE) * 0.6;
+
+  const writeList = (listBlock, listIndent) => {
+    listBlock.items.forEach((item, ndx) => {
+      const pdfText = spansToPdfText(item.spans);
+
+      writer.writeText(pdfText.text.length > 0 ? pdfText.text : ' ', {
+        fontStyle: fontStyle,
+        indent: listIndent + 6,
+        marker: listBlock.ordered ? `${ndx + 1}.` : '-',
+        links: pdfText.links
+      });
+
+      item.lists.forEach(subListBlock => writeList(subListBlock, listIndent + 6));
+    });
+  };
+
+  aryBlocks.forEach(block => {
+    switch (block.type) {
+      case 'heading': {
+        const fontSize = PDF_HEADING_FONT_SIZES[block.level - 1];
+
+        // Keep each heading on the same page as the text after it.
+        writer.addSpace(paragraphSpacing * 2);
+        writer.ensureSpace(writer.getLineHeight(fontSize) + writer.getLineHeight(PDF_BODY_FONT_SIZE) * 2);
+        writer.writeText(block.text, { fontSize: fontSize, fontStyle: 'bold', indent: indent });
+        break;
+      }
+      case 'paragraph': {
+        const pdfText = spansToPdfText(block.spans);
+
+        writer.writeText(pdfText.text, { fontStyle: fontStyle, indent: indent, links: pdfText.links });
+        break;
+      }
+      case 'list':
+        writeList(block, indent);
+        break;
+      case 'code':
+        writer.writeText(block.text, { fontName: 'courier', fontSize: PDF_CODE_FONT_SIZE, indent: indent + 4 });
+        break;
+      case 'table':
+        block.rows.forEach((aryCells, rowNdx) => {
+          writer.writeText(aryCells.join('  |  '), {
+            fontSize: PDF_CODE_FONT_SIZE,
+            fontStyle: block.hasHeader && rowNdx === 0 ? 'bold' : 'normal',
+            indent: indent
+          });
+        });
+        break;
+      case 'blockquote':
+        writePdfContentBlocks(writer, block.blocks, indent + 8, 'italic');
+        break;
+      case 'image':
+        if (block.alt)
+          writer.writeText(`[Image: ${block.alt}]`, { fontStyle: 'italic', color: PDF_COLOR_MUTED, indent: indent });
+        break;
+      default:
+        console.warn(`Unknown content block type: ${block.type}`);
+        return;
+    }
+
+    writer.addSpace(paragraphSpacing);
+  });
+}
+
+/**
+ * Writes one content item to a PDF document, starting on the
+ *  current page.
+ *
+ * @param {PdfLayoutWriter} writer - The layout writer.
+ * @param {Object} item - The content item.
+ */
+function writePdfContentItem(writer, item) {
+  writer.writeText(item.title, { fontSize: PDF_TITLE_FONT_SIZE, fontStyle: 'bold' });
+  writer.addSpace(3);
+
+  writer.writeText('URL:', { fontSize: 12, fontStyle: 'bold' });
+  writer.writeText(item.url, { color: PDF_COLOR_LINK, links: [{ start: 0, end: item.url.length, url: item.url }] });
+
+  const aryDetailLines = getArticleDetailLines(item);
+
+  if (aryDetailLines.length > 0) {
+    writer.addSpace(2);
+    aryDetailLines.forEach(line => writer.writeText(line, { color: PDF_COLOR_MUTED }));
+  }
+
+  writer.addSpace(5);
+  writer.writeText('Website content:', { fontSize: 12, fontStyle: 'bold' });
+  writer.addSpace(2);
+
+  if (Array.isArray(item.blocks) && item.blocks.length > 0) {
+    writePdfContentBlocks(writer, item.blocks, 0, 'normal');
+  } else {
+    item.content.split(/\n\s*\n/).forEach(paragraph => {
+      writer.writeText(paragraph.trim());
+      writer.addSpace(2);
+    });
+  }
+
+  writer.addSpace(5);
+  writer.writeText(`-------- END OF CONTENT OF "${item.title}" --------`, { fontSize: 9, color: PDF_COLOR_MUTED, align: 'center' });
+}
+
+/**
+ * Fills in the table of contents pages that were reserved at the
+ *  start of the document, with one clickable line per tab.
+ *
+ * @param {PdfLayoutWriter} writer - The layout writer.
+ * @param {Object[]} aryEntries - The { title, pageNumber } entries.
+ * @param {Number} entriesPerPage - The number of entries that fit
+ *  on one table of contents page.
+ */
+function writePdfTableOfContents(writer, aryEntries, entriesPerPage) {
+  const doc = writer.doc;
+  const lineHeight = writer.getLineHeight(11);
+
+  aryEntries.forEach((entry, ndx) => {
+    const tocPageNumber = Math.floor(ndx / entriesPerPage) + 1;
+    const ndxOnPage = ndx % entriesPerPage;
+
+    doc.setPage(tocPageNumber);
+
+    if (ndxOnPage === 0) {
+      writer.applyStyle({ fontSize: PDF_TITLE_FONT_SIZE, fontStyle: 'bold' });
+      doc.text('Table of Contents', PDF_MARGIN_X, PDF_CONTENT_TOP + writer.getLineHeight(PDF_TITLE_FONT_SIZE) * 0.8);
+    }
+
+    const y = PDF_CONTENT_TOP + writer.getLineHeight(PDF_TITLE_FONT_SIZE) * 2 + ndxOnPage * lineHeight;
+    const pageLabel = String(entry.pageNumber);
+
+    writer.applyStyle({ fontSize: 11, color: PDF_COLOR_LINK });
+
+    const pageLabelWidth = doc.getTextWidth(pageLabel);
+    const title = writer.truncateToWidth(`${ndx + 1}. ${entry.title}`, writer.contentWidth - pageLabelWidth - 6);
+
+    doc.text(title, PDF_MARGIN_X, y + lineHeight * 0.8);
+    doc.text(pageLabel, writer.pageWidth - PDF_MARGIN_X - pageLabelWidth, y + lineHeight * 0.8);
+    doc.link(PDF_MARGIN_X, y, writer.contentWidth, lineHeight, { pageNumber: entry.pageNumber });
+  });
+}
+
+/**
+ * Builds the PDF document for the given content items.  Each
+ *  tab starts on a new page.  When there is more than one tab,
+ *  the document opens with a clickable table of contents.
+ *
+ * @param {Object[]} contents - The content items.
+ * @param {Boolean} onlyLinks - TRUE if only the titles and URLs
+ *  of the pages should be written.
+ *
+ * @return {Object} The jsPDF document.
+ */
+function buildPdfDocument(contents, onlyLinks) {
+  const doc = new jsPDF();
+  const writer = new PdfLayoutWriter(doc);
+
+  // In links only mode, the links simply flow down the pages.
+  if (onlyLinks) {
+    writer.setHeaderTitle('Links');
+
+    contents.forEach(item => {
+      writer.ensureSpace(writer.getLineHeight(12) + writer.getLineHeight(PDF_BODY_FONT_SIZE));
+      writer.writeText(item.title, { fontSize: 12, fontStyle: 'bold' });
+      writer.writeText(item.url, { color: PDF_COLOR_LINK, links: [{ start: 0, end: item.url.length, url: item.url }] });
+      writer.addSpace(4);
+    });
+
+    writer.drawHeadersAndFooters();
+    return doc;
+  }
+
+  // Reserve the pages for the table of contents.  We can only fill
+  //  them in once we know the page each tab starts on.
+  const bHasTableOfContents = contents.length > 1;
+  const tocLinesTop = PDF_CONTENT_TOP + writer.getLineHeight(PDF_TITLE_FONT_SIZE) * 2;
+  const entriesPerPage = Math.floor((writer.pageHeight - PDF_CONTENT_BOTTOM_MARGIN - tocLinesTop) / writer.getLineHeight(11));
+  const numTocPages = bHasTableOfContents ? Math.ceil(contents.length / entriesPerPage) : 0;
+
+  writer.setHeaderTitle('Table of Contents');
+
+  for (let i = 1; i < numTocPages; i++)
+    writer.startNewPage();
+
+  const aryTocEntries = [];
+
+  contents.forEach((item, index) => {
+    writer.currentHeaderTitle = item.title;
+
+    if (index > 0 || numTocPages > 0)
+      writer.startNewPage();
+    else
+      writer.setHeaderTitle(item.title);
+
+    aryTocEntries.push({ title: item.title, pageNumber: writer.getPageNumber() });
+
+    if (doc.outline)
+      doc.outline.add(null, item.title, { pageNumber: writer.getPageNumber() });
+
+    writePdfContentItem(writer, item);
+  });
+
+  if (bHasTableOfContents)
+    writePdfTableOfContents(writer, aryTocEntries, entriesPerPage);
+
+  writer.drawHeadersAndFooters();
+
+  return doc;
+}
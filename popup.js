@@ -10,9 +10,9 @@ document.addEventListener('DOMContentLoaded', () => {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     const activeTab = tabs[0];
 
-    // Check if the active tab's URL contains "youtube.com"
-    if (activeTab && activeTab.url.includes('youtube.com')) {
-      console.log('This is a YouTube page; specific code will not run.');
+    // Check if the active tab is a YouTube video page.
+    if (activeTab && isYouTubeVideoUrl(activeTab.url)) {
+      console.log('This is a YouTube video page; specific code will not run.');
       // Optional: Insert code here to handle YouTube-specific logic if needed
       return;  // Exit if the active tab is a YouTube page
     }
@@ -26,6 +26,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const tabItem = document.createElement('div');
         tabItem.classList.add('tab-item');
         tabItem.innerHTML = `<input type="checkbox" id="tab-${tab.id}" data-tab-id="${tab.id}"> <label for="tab-${tab.id}">${tab.title}</label>`;
+
+        // Flag the tabs that must be reloaded before extracting.
+        if (isTabUnloaded(tab))
+          tabItem.insertAdjacentHTML('beforeend', '<span class="tab-unloaded" title="This tab is discarded or not loaded. It will be reloaded or skipped, as set in the options.">(not loaded)</span>');
+
         tabsList.appendChild(tabItem);
       });
     });
@@ -43,6 +48,7 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('save-pdf').addEventListener('click', () => handleAction('save-pdf'));
     document.getElementById('save-json').addEventListener('click', () => handleAction('save-json'));
     document.getElementById('save-html').addEventListener('click', () => handleAction('save-html'));
+    document.getElementById('save-md').addEventListener('click', () => handleAction('save-md'));
 
     const optionsDiv = document.querySelector('.options');
     optionsDiv.innerHTML += `
@@ -52,12 +58,36 @@ document.addEventListener('DOMContentLoaded', () => {
       </label>
     `;
 
+    document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    // Apply the saved settings to the export options.
+    loadSettings().then(settings => {
+      popupSettings = settings;
+
+      document.getElementById('separate-files').checked = settings.separateFiles;
+      document.getElementById('zip-bundle').checked = settings.zipBundle;
+      document.getElementById('only-links').checked = settings.onlyLinks;
+      document.getElementById('article-only').checked = settings.extractionMode === 'article';
+
+      // Highlight the button of the default export format, and
+      //  focus it so the Enter key runs it.
+      const defaultButton = document.getElementById(
+          settings.defaultExportFormat === 'copy' ? 'copy' : `save-${settings.defaultExportFormat}`);
+
+      defaultButton.classList.add('default-action');
+      defaultButton.focus();
+    });
+
     // ... other existing code ...
 
     // -------------------- END  : HANDLERS FOR NON-YOUTUBE PAGES ------------
   });
 });
 
+// The extension settings.  Replaced by the saved settings once
+//  they are loaded from chrome.storage.
+let popupSettings = { ...DEFAULT_SETTINGS };
+
 // Include jsPDF library
 const script = document.createElement('script');
 script.src = chrome.runtime.getURL('jspdf.min.js');
@@ -68,6 +98,8 @@ function handleAction(action) {
       .map(input => parseInt(input.getAttribute('data-tab-id')));
   const separateFiles = document.getElementById('separate-files').checked;
   const onlyLinks = document.getElementById('only-links').checked;
+  const bundleZip = document.getElementById('zip-bundle').checked;
+  const extractionMode = document.getElementById('article-only').checked ? 'article' : 'full';
 
   chrome.tabs.query({ currentWindow: true }, (tabs) => {
     const selectedTabsInfo = tabs.filter(tab => selectedTabs.includes(tab.id));
@@ -75,148 +107,354 @@ function handleAction(action) {
 
     if (onlyLinks) {
       selectedTabsInfo.forEach(tab => {
-        contents.push({title: tab.title, url: tab.url, content: ''});
+        contents.push({title: tab.title, url: tab.url, content: '', capturedAt: new Date().toISOString()});
       });
-      processContents(contents, action, separateFiles, onlyLinks);
+      processContents(contents, action, separateFiles, onlyLinks, bundleZip);
     } else {
-      let processedTabs = 0;
-      selectedTabsInfo.forEach((tab) => {
-        chrome.tabs.update(tab.id, { active: false }, (updatedTab) => {
-          chrome.scripting.executeScript({
-            target: { tabId: updatedTab.id },
-            func: extractVisibleText
-          }, (results) => {
-            if (chrome.runtime.lastError) {
-              console.error(chrome.runtime.lastError.message);
-            } else {
-              const content = results[0].result;
-              contents.push({title: updatedTab.title, url: updatedTab.url, content: content});
-            }
-
-            processedTabs++;
-            if (processedTabs === selectedTabsInfo.length) {
-              processContents(contents, action, separateFiles, onlyLinks);
-            }
-          });
-        });
+      extractSelectedTabs(selectedTabsInfo, extractionMode).then(extractedContents => {
+        if (extractedContents.length > 0)
+          processContents(extractedContents, action, separateFiles, onlyLinks, bundleZip);
       });
     }
   });
 }
 
-function processContents(contents, action, separateFiles, onlyLinks) {
+/**
+ * Extracts the content of the given tabs through the extraction
+ *  queue, showing the progress and any failed tabs in the popup.
+ *
+ * @param {Object[]} aryTabs - The tabs to extract, in the order
+ *  their content should be exported.
+ * @param {String} extractionMode - The extraction mode.
+ *
+ * @return {Promise<Object[]>} The content items of the tabs that
+ *  were extracted, in the order of aryTabs.
+ */
+async function extractSelectedTabs(aryTabs, extractionMode) {
+  const statusDiv = document.getElementById('extraction-status');
+  const progressBar = document.getElementById('extraction-progress');
+  const progressText = document.getElementById('extraction-progress-text');
+  const reloadedTabsList = document.getElementById('reloaded-tabs');
+  const failedTabsList = document.getElementById('failed-tabs');
+  let numSkipped = 0;
+
+  const showProgress = (numCompleted, numFailed) => {
+    const numNotExtracted = numFailed - numSkipped;
+
+    progressBar.max = Math.max(aryTabs.length, 1);
+    progressBar.value = numCompleted;
+    progressText.textContent = `Extracted ${numCompleted - numFailed} of ${aryTabs.length} tabs`
+        + (numNotExtracted > 0 ? `, ${numNotExtracted} failed` : '')
+        + (numSkipped > 0 ? `, ${numSkipped} skipped` : '') + '.';
+  };
+
+  const addTabListItem = (list, tab, text, className) => {
+    const listItem = document.createElement('li');
+
+    listItem.textContent = `${tab.title || tab.url}: ${text}`;
+    if (className)
+      listItem.classList.add(className);
+    list.appendChild(listItem);
+  };
+
+  reloadedTabsList.innerHTML = '';
+  failedTabsList.innerHTML = '';
+  statusDiv.classList.remove('hidden');
+  showProgress(0, 0);
+  setActionButtonsDisabled(true);
+
+  try {
+    const aryResults = await runTaskQueue(
+        aryTabs,
+        (tab, index, signal) => prepareTabForExtraction(
+            tab,
+            () => addTabListItem(reloadedTabsList, tab, 'Reloaded before extracting.'),
+            signal)
+            .then(readyTab => new Promise((resolve, reject) => {
+              extractTabContent(readyTab.id, extractionMode, (pageContent, errMsg) => {
+                if (errMsg)
+                  reject(new Error(errMsg));
+                else
+                  resolve(buildContentItem(readyTab, pageContent));
+              });
+            })),
+        {
+          concurrency: popupSettings.extractionConcurrency,
+          timeoutMs: popupSettings.tabTimeoutSeconds * 1000,
+          onProgress: (progress) => {
+            if (progress.error instanceof TabSkippedError) {
+              numSkipped++;
+              addTabListItem(failedTabsList, progress.item, progress.error.message, 'skipped');
+            } else if (progress.error) {
+              console.error(`Unable to extract tab "${progress.item.title}": ${progress.error.message}`);
+              addTabListItem(failedTabsList, progress.item, progress.error.message);
+            }
+
+            showProgress(progress.completed, progress.failed);
+          }
+        });
+
+    const aryContents = aryResults.filter(result => !result.error).map(result => result.value);
+
+    if (aryContents.length === 0)
+      progressText.textContent = aryTabs.length > 0 ? 'None of the selected tabs could be extracted.' : 'No tabs are selected.';
+
+    return aryContents;
+  } finally {
+    setActionButtonsDisabled(false);
+  }
+}
+
+/**
+ * Makes sure a tab is loaded before its content is extracted.
+ *  Discarded and unloaded tabs are reloaded in the background, or
+ *  skipped, depending on the unloadedTabs setting.
+ *
+ * @param {Object} tab - The tab.
+ * @param {Function} onReloading - Called if the tab is reloaded.
+ * @param {AbortSignal} [signal] - Stops waiting for a reloaded tab,
+ *  when its extraction has timed out.
+ *
+ * @return {Promise<Object>} Resolves to the tab, once it is loaded,
+ *  or rejects with a TabSkippedError if the tab is skipped.
+ */
+function prepareTabForExtraction(tab, onReloading, signal = null) {
+  if (!isTabUnloaded(tab))
+    return Promise.resolve(tab);
+
+  if (popupSettings.unloadedTabs === 'skip')
+    return Promise.reject(new TabSkippedError('Skipped because the tab is discarded or not loaded.'));
+
+  onReloading();
+
+  return reloadTabAndWait(tab.id, signal);
+}
+
+/**
+ * Builds the content item for a tab from the content object
+ *  returned by extractPageContent().
+ *
+ * @param {Object} tab - The tab.
+ * @param {Object} pageContent - The extracted content of the tab.
+ *
+ * @return {Object}
+ */
+function buildContentItem(tab, pageContent) {
+  return {
+    title: pageContent.mode === 'article' && pageContent.title ? pageContent.title : tab.title,
+    url: tab.url,
+    content: pageContent.text,
+    byline: pageContent.byline,
+    publishedDate: pageContent.publishedDate,
+    extractionMode: pageContent.mode,
+    metadata: pageContent.metadata,
+    blocks: pageContent.blocks,
+    links: pageContent.links,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Enables or disables the action buttons, so a new export cannot
+ *  be started while one is running.
+ *
+ * @param {Boolean} bDisabled - TRUE to disable the buttons.
+ */
+function setActionButtonsDisabled(bDisabled) {
+  document.querySelectorAll('.actions button').forEach(button => button.disabled = bDisabled);
+}
+
+function processContents(contents, action, separateFiles, onlyLinks, bundleZip) {
   if (action === 'copy') {
-    const allContents = contents.map(item => onlyLinks ? `${item.title}\n${item.url}\n\n` : `Title: ${item.title}\nURL: ${item.url}\nContent:\n${item.content}\n\n`).join('');
+    const allContents = contents.map(item => onlyLinks ? `${item.title}\n${item.url}\n\n` : `${formatTextEntry(item)}\n\n`).join('');
     navigator.clipboard.writeText(allContents).then(() => {
       alert('Content copied to clipboard');
     });
   } else {
-    saveToFile(contents, action.split('-')[1], separateFiles, onlyLinks);
+    saveToFile(contents, action.split('-')[1], separateFiles, onlyLinks, bundleZip);
   }
 }
 
-function extractVisibleText() {
-  return document.body.innerText;
-}
-
-function saveToFile(contents, format, separateFiles, onlyLinks) {
-  if (format === 'txt') {
-    if (separateFiles) {
-      contents.forEach((content, index) => {
-        const blob = new Blob([onlyLinks ? `${content.title}\n${content.url}` : `Title: ${content.title}\nURL: ${content.url}\nContent:\n${content.content}`], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `content-${index + 1}.txt`;
-        a.click();
-        URL.revokeObjectURL(url);
-      });
-    } else {
-      const allContents = contents.map(item => onlyLinks ? `${item.title}\n${item.url}\n\n` : `Title: ${item.title}\nURL: ${item.url}\nContent:\n${item.content}\n\n`).join('\n');
-      const blob = new Blob([allContents], { type: 'text/plain' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'content.txt';
-      a.click();
-      URL.revokeObjectURL(url);
+/**
+ * Injects the page extractor into a tab and extracts the tab's
+ *  content with it.
+ *
+ * @param {Number} tabId - The ID of the tab to extract.
+ * @param {String} extractionMode - 'full' to get all the visible
+ *  text on the page, or 'article' to get only its main article.
+ * @param {Function} callback - Called with the content object
+ *  returned by extractPageContent(), or with NULL and an error
+ *  message if the extraction failed.
+ */
+function extractTabContent(tabId, extractionMode, callback) {
+  chrome.scripting.executeScript({
+    target: { tabId: tabId },
+    files: ['page-extractor.js']
+  }, () => {
+    if (chrome.runtime.lastError) {
+      callback(null, chrome.runtime.lastError.message);
+      return;
     }
-  } else if (format === 'pdf') {
-    const doc = new jsPDF();
-    doc.setFont('helvetica');
-    doc.setFontSize(16);
-    contents.forEach((content, index) => {
-      if (index > 0) doc.addPage();
-      doc.text(content.title, 20, 30);
-      doc.setFontSize(14);
-      doc.text("URL:", 20, 50);
-      doc.setFontSize(10);
-      doc.text(content.url, 20, 60);
-      if (!onlyLinks) {
-        doc.setFontSize(10);
-        doc.text("Website content:", 20, 80);
-        doc.setFontSize(10);
-        const splitText = doc.splitTextToSize(content.content, 170);
-        doc.text(splitText, 20, 90);
+
+    chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: runPageExtraction,
+      args: [extractionMode]
+    }, (results) => {
+      if (chrome.runtime.lastError) {
+        callback(null, chrome.runtime.lastError.message);
+      } else if (!results || !results[0] || !results[0].result) {
+        callback(null, `Unable to extract the content of tab ${tabId}.`);
+      } else {
+        callback(results[0].result, null);
       }
-      doc.setFont('arial');
-      doc.text(`-------- END OF CONTENT OF "${content.title}" --------`, 20, 270, { align: 'center' });
     });
-    doc.save('content.pdf');
-  } else if (format === 'json') {
-    const jsonContent = {
-      websites: contents.map(item => ({
-        title: item.title,
-        url: item.url,
-        ...(onlyLinks ? {} : { content: { text: item.content } })
-      }))
-    };
-    if (separateFiles) {
-      jsonContent.websites.forEach((content, index) => {
-        const blob = new Blob([JSON.stringify({ websites: [content] }, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `content-${index + 1}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-      });
-    } else {
-      const blob = new Blob([JSON.stringify(jsonContent, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'content.json';
-      a.click();
-      URL.revokeObjectURL(url);
+  });
+}
+
+/**
+ * This function is executed in the tab, after page-extractor.js
+ *  has been injected into it.
+ *
+ * @param {String} extractionMode - The extraction mode.
+ *
+ * @return {Object} The content object for the page.
+ */
+function runPageExtraction(extractionMode) {
+  return extractPageContent(extractionMode);
+}
+
+/**
+ * Returns the byline and published date lines for a content
+ *  item.  Only articles extracted in article mode have those.
+ *
+ * @param {Object} item - The content item.
+ *
+ * @return {String[]}
+ */
+function getArticleDetailLines(item) {
+  const aryLines = [];
+
+  if (item.byline)
+    aryLines.push(`By: ${item.byline}`);
+  if (item.publishedDate)
+    aryLines.push(`Published: ${item.publishedDate}`);
+
+  return aryLines;
+}
+
+/**
+ * Formats a content item as plain text.
+ *
+ * @param {Object} item - The content item.
+ *
+ * @return {String}
+ */
+function formatTextEntry(item) {
+  return [`Title: ${item.title}`, ...getArticleDetailLines(item), `URL: ${item.url}`, 'Content:', item.content].join('\n');
+}
+
+/**
+ * Downloads a blob as a file with the given name.
+ *
+ * @param {Blob} blob - The file content.
+ * @param {String} filename - The name of the file.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Builds the exported file content for a group of content items.
+ *
+ * @param {Object[]} aryItems - The content items to put in the file.
+ * @param {String} format - The export format.
+ * @param {Boolean} onlyLinks - TRUE if only the titles and URLs of
+ *  the pages should be exported.
+ *
+ * @return {Blob}
+ */
+function buildExportBlob(aryItems, format, onlyLinks) {
+  switch (format) {
+    case 'txt': {
+      const allContents = aryItems.map(item => onlyLinks ? `${item.title}\n${item.url}\n\n` : `${formatTextEntry(item)}\n\n`).join('\n');
+      return new Blob([allContents], { type: 'text/plain' });
     }
-  } else if (format === 'html') {
-    if (separateFiles) {
-      contents.forEach((content, index) => {
-        const htmlContent = onlyLinks
-            ? `<h1>${content.title}</h1><p><a href="${content.url}">${content.url}</a></p>`
-            : `<h1>${content.title}</h1><p><a href="${content.url}">${content.url}</a></p><p>${content.content}</p>`;
-        const blob = new Blob([htmlContent], { type: 'text/html' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `content-${index + 1}.html`;
-        a.click();
-        URL.revokeObjectURL(url);
-      });
-    } else {
-      const allContents = contents.map(item =>
-          onlyLinks
-              ? `<h1>${item.title}</h1><p><a href="${item.url}">${item.url}</a></p>`
-              : `<h1>${item.title}</h1><p><a href="${item.url}">${item.url}</a></p><p>${item.content}</p>`
-      ).join('<hr>');
-      const blob = new Blob([allContents], { type: 'text/html' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'content.html';
-      a.click();
-      URL.revokeObjectURL(url);
+    case 'pdf':
+      return buildPdfDocument(aryItems, onlyLinks).output('blob');
+    case 'json':
+      return new Blob([JSON.stringify(buildJsonExportDocument(aryItems, onlyLinks), null, 2)], { type: 'application/json' });
+    case 'md': {
+      const allContents = aryItems.map(item => contentItemToMarkdown(item, onlyLinks)).join('\n');
+      return new Blob([allContents], { type: 'text/markdown' });
     }
+    case 'html':
+      return new Blob([buildHtmlDocument(aryItems, onlyLinks)], { type: 'text/html' });
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Builds the ZIP bundle for the per-tab export files.  The bundle
+ *  also holds a manifest.json file that lists the source title
+ *  and URL of each file.
+ *
+ * @param {Object[]} aryFiles - The { filename, blob, items } export
+ *  file objects.
+ * @param {String} format - The export format.
+ *
+ * @return {Promise<Blob>}
+ */
+async function buildZipBundle(aryFiles, format) {
+  const zipWriter = new ZipWriter();
+
+  aryFiles.forEach(file => zipWriter.addFile(file.filename, file.blob));
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    format: format,
+    files: aryFiles.map(file => ({
+      filename: file.filename,
+      title: file.items[0].title,
+      url: file.items[0].url,
+      capturedAt: file.items[0].capturedAt
+    }))
+  };
+
+  zipWriter.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return zipWriter.toBlob();
+}
+
+function saveToFile(contents, format, separateFiles, onlyLinks, bundleZip) {
+  const aryGroups = separateFiles ? contents.map(item => [item]) : [contents];
+
+  // The manifest of a ZIP bundle must not be overwritten by a
+  //  tab that happens to be named "manifest".
+  const deduplicator = new FilenameDeduplicator(bundleZip ? ['manifest.json'] : []);
+
+  const aryFiles = aryGroups.map((aryItems, index) => ({
+    filename: buildExportFilename(popupSettings.filenameTemplates[format], aryItems, format, index, deduplicator),
+    blob: buildExportBlob(aryItems, format, onlyLinks),
+    items: aryItems
+  }));
+
+  if (separateFiles && bundleZip) {
+    const zipFilename = buildExportFilename(popupSettings.filenameTemplates.zip, contents, 'zip', 0, new FilenameDeduplicator());
+
+    buildZipBundle(aryFiles, format)
+        .then(zipBlob => downloadBlob(zipBlob, zipFilename))
+        .catch(err => {
+          console.error(err);
+          alert(`Unable to build the ZIP file: ${err.message}`);
+        });
+  } else {
+    aryFiles.forEach(file => downloadBlob(file.blob, file.filename));
   }
 }
@@ -0,0 +1,167 @@
+// This file contains the extension settings, which are edited on
+//  the options page (options.html) and stored in
+//  chrome.storage.sync.  The tab extractor popup and the YouTube
+//  summarizer popup read them on load to set their defaults.
+//
+// This file depends on filename-templates.js, which must be loaded
+//  first.
+
+// The values each choice setting may have.  Stored values that are
+//  not in these lists are replaced by the default value.
+const SETTINGS_CHOICES = {
+  defaultExportFormat: ['copy', 'txt', 'pdf', 'json', 'html', 'md'],
+  extractionMode: ['full', 'article'],
+  unloadedTabs: ['reload', 'skip'],
+  summarizerType: ['key-points', 'tl;dr', 'teaser', 'headline'],
+  summarizerLength: ['short', 'medium', 'long'],
+  summarizerFormat: ['markdown', 'plain-text'],
+  preferredCaptionKind: ['manual', 'asr']
+};
+
+// The smallest and largest values of the numeric settings.
+const SETTINGS_RANGES = {
+  extractionConcurrency: { min: 1, max: 16 },
+  tabTimeoutSeconds: { min: 5, max: 300 },
+  chunkSize: { min: 100, max: 3000 },
+  chunkOverlapSentences: { min: 0, max: 5 }
+};
+
+const DEFAULT_SETTINGS = {
+  // Tab extractor popup.
+  defaultExportFormat: 'txt',
+  extractionMode: 'full',
+  separateFiles: false,
+  zipBundle: false,
+  onlyLinks: false,
+  extractionConcurrency: 4,
+  tabTimeoutSeconds: 30,
+  unloadedTabs: 'reload',
+  filenameTemplates: DEFAULT_FILENAME_TEMPLATES,
+
+  // YouTube summarizer popup.
+  summarizerType: 'key-points',
+  summarizerLength: 'short',
+  summarizerFormat: 'plain-text',
+  chunkSize: 700,
+  chunkOverlapSentences: 1,
+
+  // The caption languages to try first, as a comma separated list of
+  //  language codes, most preferred first.  When empty, the
+  //  browser's languages are used.
+  captionLanguages: '',
+  preferredCaptionKind: 'manual'
+};
+
+// A language code, like "en", "pt-BR" or "zh-Hans".
+const LANGUAGE_CODE_REGEX = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Splits a comma or space separated list of language codes,
+ *  dropping anything that is not a language code.
+ *
+ * @param {String} strLanguages - The list of language codes.
+ *
+ * @return {String[]}
+ */
+function parseLanguageCodes(strLanguages) {
+  if (typeof strLanguages !== 'string')
+    return [];
+
+  return strLanguages.split(/[\s,;]+/).filter(code => LANGUAGE_CODE_REGEX.test(code));
+}
+
+/**
+ * Gets the caption languages to try, most preferred first.
+ *
+ * @param {Object} settings - The settings.
+ *
+ * @return {String[]} The languages from the settings, or the
+ *  browser's languages if none are set.
+ */
+function getPreferredCaptionLanguages(settings) {
+  const aryLanguageCodes = parseLanguageCodes(settings.captionLanguages);
+
+  if (aryLanguageCodes.length > 0)
+    return aryLanguageCodes;
+
+  return typeof navigator !== 'undefined' && Array.isArray(navigator.languages) ? [...navigator.languages] : [];
+}
+
+/**
+ * Validates stored settings, replacing any missing or invalid
+ *  value with its default.
+ *
+ * @param {Object} storedSettings - The settings read from storage.
+ *
+ * @return {Object} A complete, valid settings object.
+ */
+function normalizeSettings(storedSettings) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  if (!storedSettings || typeof storedSettings !== 'object')
+    return settings;
+
+  Object.keys(SETTINGS_CHOICES).forEach(key => {
+    if (SETTINGS_CHOICES[key].includes(storedSettings[key]))
+      settings[key] = storedSettings[key];
+  });
+
+  ['separateFiles', 'zipBundle', 'onlyLinks'].forEach(key => {
+    if (typeof storedSettings[key] === 'boolean')
+      settings[key] = storedSettings[key];
+  });
+
+  Object.keys(SETTINGS_RANGES).forEach(key => {
+    const value = Number(storedSettings[key]);
+
+    if (Number.isInteger(value))
+      settings[key] = Math.min(Math.max(value, SETTINGS_RANGES[key].min), SETTINGS_RANGES[key].max);
+  });
+
+  settings.captionLanguages = parseLanguageCodes(storedSettings.captionLanguages).join(', ');
+
+  // Fill in the default template for any format that has none.
+  const storedTemplates = storedSettings.filenameTemplates || {};
+
+  settings.filenameTemplates = { ...DEFAULT_FILENAME_TEMPLATES };
+
+  FILENAME_TEMPLATE_FORMATS.forEach(format => {
+    if (typeof storedTemplates[format] === 'string' && storedTemplates[format].trim().length > 0)
+      settings.filenameTemplates[format] = storedTemplates[format];
+  });
+
+  return settings;
+}
+
+/**
+ * Loads the settings from chrome.storage.sync.
+ *
+ * @return {Promise<Object>} The settings, with defaults for any
+ *  setting that was never saved.
+ */
+async function loadSettings() {
+  try {
+    const storedSettings = await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS));
+
+    return normalizeSettings(storedSettings);
+  } catch (err) {
+    console.error(`Unable to load the settings, using the defaults: ${err.message}`);
+    return normalizeSettings(null);
+  }
+}
+
+/**
+ * Saves the settings to chrome.storage.sync.
+ *
+ * @param {Object} settings - The settings to save.
+ *
+ * @return {Promise<Object>} The settings as they were saved, after
+ *  validation.
+ */
+async function saveSettings(settings) {
+  const normalizedSettings = normalizeSettings(settings);
+
+  await chrome.storage.sync.set(normalizedSettings);
+
+  return normalizedSettings;
+}
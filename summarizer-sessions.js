@@ -0,0 +1,285 @@
+// This file contains the pool of summarizer sessions the YouTube
+//  popup summarizes with.  Creating a session checks the
+//  summarizer's capabilities and sets up the model, which takes
+//  far longer than most of the summaries of a run, so one session
+//  per summary type, format and length is kept and reused for every
+//  chunk.  A session that fails is thrown away and created again,
+//  and all of them are destroyed when the popup closes, which also
+//  closes the pool.
+//
+// The pool counts the sessions it creates and reuses and times the
+//  summarize calls, so runs can be compared.
+
+/**
+ * Builds the key a session is kept under in the pool.
+ *
+ * @param {String} type - The summary type.
+ * @param {String} format - The summary format.
+ * @param {String} length - The summary length.
+ *
+ * @return {String}
+ */
+function buildSummarizerSessionKey(type, format, length) {
+  return `${type}|${format}|${length}`;
+}
+
+/**
+ * A pool of summarizer sessions, one per summary type, format and
+ *  length.
+ */
+class SummarizerSessionPool {
+  /**
+   * @param {Function} funcCreateSession - A function that takes the
+   *  type, format and length and returns a promise of a new
+   *  summarizer session.
+   */
+  constructor(funcCreateSession) {
+    const errPrefix = `(SummarizerSessionPool::constructor) `;
+
+    if (typeof funcCreateSession !== 'function')
+      throw new Error(errPrefix + `The funcCreateSession parameter is not a function.`);
+
+    /** @type {Function} */
+    this.funcCreateSession = funcCreateSession;
+
+    // The promises of the sessions, by key.  The promise is stored
+    //  before the session is ready, so two chunks that ask for the
+    //  same session at once do not create two.
+    /** @type {Map<String, Promise<Object>>} */
+    this.mapSessionPromises = new Map();
+
+    // The sessions that are ready, by key.
+    /** @type {Map<String, Object>} */
+    this.mapSessions = new Map();
+
+    // Set by destroyAll().  A closed pool hands out no more
+    //  sessions, since they would be destroyed under the caller.
+    /** @type {Boolean} */
+    this.bIsClosed = false;
+
+    this.resetMetrics();
+  }
+
+  /**
+   * Clears the counts and times.
+   */
+  resetMetrics() {
+    this.metrics = {
+      numSessionsCreated: 0,
+      numSessionsReused: 0,
+      numSessionErrors: 0,
+      numSummarizeCalls: 0,
+      createMilliseconds: 0,
+      summarizeMilliseconds: 0
+    };
+  }
+
+  /**
+   * Returns a copy of the counts and times since the last
+   *  resetMetrics() call.
+   *
+   * @return {Object}
+   */
+  getMetrics() {
+    return Object.assign({}, this.metrics);
+  }
+
+  /**
+   * Returns the session for a summary type, format and length,
+   *  creating it if the pool does not have one yet.  Only a session
+   *  that is ready counts as reused; waiting for a session another
+   *  chunk is creating counts as neither.
+   *
+   * @param {String} type - The summary type.
+   * @param {String} format - The summary format.
+   * @param {String} length - The summary length.
+   *
+   * @return {Promise<Object>}
+   */
+  async getSession_async(type, format, length) {
+    const errPrefix = `(SummarizerSessionPool::getSession_async) `;
+    const key = buildSummarizerSessionKey(type, format, length);
+
+    if (this.bIsClosed)
+      throw new Error(errPrefix + `The session pool is closed.`);
+
+    if (this.mapSessions.has(key)) {
+      this.metrics.numSessionsReused++;
+
+      return this.mapSessions.get(key);
+    }
+
+    if (this.mapSessionPromises.has(key)) {
+      const pendingSession = await this.mapSessionPromises.get(key);
+
+      if (this.bIsClosed)
+        throw new Error(errPrefix + `The session pool was closed while the session was being created.`);
+
+      return pendingSession;
+    }
+
+    const startTime = performance.now();
+    const sessionPromise = this.funcCreateSession(type, format, length);
+
+    this.mapSessionPromises.set(key, sessionPromise);
+
+    try {
+      const session = await sessionPromise;
+
+      this.metrics.numSessionsCreated++;
+      this.metrics.createMilliseconds += performance.now() - startTime;
+
+      // destroyAll() destroys the session once it is ready.
+      if (this.bIsClosed)
+        throw new Error(errPrefix + `The session pool was closed while the session was being created.`);
+
+      if (this.mapSessionPromises.get(key) === sessionPromise)
+        this.mapSessions.set(key, session);
+
+      return session;
+    } catch (err) {
+      // Do not keep a session that could not be created.
+      if (this.mapSessionPromises.get(key) === sessionPromise)
+        this.mapSessionPromises.delete(key);
+
+      throw err;
+    }
+  }
+
+  /**
+   * Summarizes a text with the pooled session for a summary type,
+   *  format and length.  If the session fails, it is destroyed and
+   *  the text is summarized once more with a new session.
+   *
+   * @param {String} type - The summary type.
+   * @param {String} format - The summary format.
+   * @param {String} length - The summary length.
+   * @param {String} text - The text to summarize.
+   * @param {Object} [summarizeOptions] - The options for the
+   *  session's summarize() call, like the context and the abort
+   *  signal.
+   * @param {Function|null} [funcOnPartialSummary] - If given, the
+   *  summary is streamed where the browser can, and this function
+   *  is called with the summary so far each time it grows.
+   *
+   * @return {Promise<String>} The summary.
+   */
+  async summarize_async(type, format, length, text, summarizeOptions = {}, funcOnPartialSummary = null) {
+    for (let attemptNum = 1; ; attemptNum++) {
+      const session = await this.getSession_async(type, format, length);
+      const startTime = performance.now();
+
+      try {
+        const summary = funcOnPartialSummary && typeof session.summarizeStreaming === 'function'
+          ? await streamSummary_async(session, text, summarizeOptions, funcOnPartialSummary)
+          : await session.summarize(text, summarizeOptions);
+
+        this.metrics.numSummarizeCalls++;
+        this.metrics.summarizeMilliseconds += performance.now() - startTime;
+
+        return summary;
+      } catch (err) {
+        // A summary that was stopped is not the session's fault.
+        if (summarizeOptions.signal && summarizeOptions.signal.aborted)
+          throw err;
+
+        this.metrics.numSessionErrors++;
+        this.discardSession(type, format, length, session);
+
+        if (attemptNum > 1)
+          throw err;
+
+        console.warn(`The summarizer session failed and is being created again.  Error: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Destroys the pooled session for a summary type, format and
+   *  length, if it is the given session, so that the next request
+   *  creates a new one.
+   *
+   * @param {String} type - The summary type.
+   * @param {String} format - The summary format.
+   * @param {String} length - The summary length.
+   * @param {Object} session - The session that failed.
+   */
+  discardSession(type, format, length, session) {
+    const key = buildSummarizerSessionKey(type, format, length);
+
+    // Another chunk may have replaced the session already.
+    if (this.mapSessions.get(key) === session) {
+      this.mapSessions.delete(key);
+      this.mapSessionPromises.delete(key);
+    }
+
+    destroySummarizerSession(session);
+  }
+
+  /**
+   * Destroys every pooled session, including those still being
+   *  created, and closes the pool.
+   */
+  destroyAll() {
+    const arySessionPromises = Array.from(this.mapSessionPromises.values());
+
+    this.bIsClosed = true;
+
+    this.mapSessionPromises.clear();
+    this.mapSessions.clear();
+    arySessionPromises.forEach(sessionPromise => {
+      sessionPromise.then(destroySummarizerSession).catch(() => {});
+    });
+  }
+}
+
+/**
+ * Summarizes a text with a session's summarizeStreaming() call.
+ *  Some versions of the summarizer stream the whole summary so far
+ *  with each chunk, and others only the new text, so both are
+ *  handled.  Which one a stream does is decided once, from whether
+ *  its second chunk extends the first, since a single new piece of
+ *  text can start with the text so far by chance, like a "*" after
+ *  a "*" in a Markdown list.
+ *
+ * @param {Object} session - The summarizer session.
+ * @param {String} text - The text to summarize.
+ * @param {Object} summarizeOptions - The options for the call.
+ * @param {Function} funcOnPartialSummary - Called with the summary
+ *  so far each time it grows.
+ *
+ * @return {Promise<String>} The whole summary.
+ */
+async function streamSummary_async(session, text, summarizeOptions, funcOnPartialSummary) {
+  const stream = session.summarizeStreaming(text, summarizeOptions);
+  let summary = '';
+  let bIsCumulative = null;
+
+  for await (const streamChunk of stream) {
+    // An empty chunk adds nothing, whatever the kind of stream.
+    if (streamChunk.length === 0)
+      continue;
+
+    if (summary.length > 0 && bIsCumulative === null)
+      bIsCumulative = streamChunk.length > summary.length && streamChunk.startsWith(summary);
+
+    summary = bIsCumulative ? streamChunk : summary + streamChunk;
+    funcOnPartialSummary(summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Destroys a summarizer session, ignoring sessions that were
+ *  already destroyed.
+ *
+ * @param {Object} session - The session.
+ */
+function destroySummarizerSession(session) {
+  try {
+    session.destroy();
+  } catch (err) {
+    console.warn(`Could not destroy a summarizer session.  Error: ${err.message}`);
+  }
+}
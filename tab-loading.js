@@ -0,0 +1,115 @@
+// This file contains the routines that deal with tabs that are not
+//  loaded, either because Chrome discarded them to save memory or
+//  because they have not been loaded since the session was
+//  restored.  Such tabs cannot be scripted until they are reloaded.
+
+/**
+ * Error thrown for a tab that was left out of the extraction on
+ *  purpose, as opposed to a tab whose extraction failed.
+ */
+class TabSkippedError extends Error {
+  /**
+   * @param {String} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'TabSkippedError';
+  }
+}
+
+/**
+ * Returns TRUE if the tab is discarded or not loaded, and so must
+ *  be reloaded before its content can be extracted.
+ *
+ * @param {Object} tab - The tab.
+ *
+ * @return {Boolean}
+ */
+function isTabUnloaded(tab) {
+  return tab.discarded === true || tab.status === 'unloaded';
+}
+
+/**
+ * Waits until a tab has finished loading.
+ *
+ * @param {Number} tabId - The ID of the tab.
+ * @param {AbortSignal} [signal] - Stops the wait, for example when
+ *  the extraction of the tab has timed out.
+ *
+ * @return {Promise<Object>} Resolves to the tab once its status is
+ *  'complete', or rejects if the tab is closed or the wait is
+ *  aborted first.
+ */
+function waitForTabComplete(tabId, signal = null) {
+  return new Promise((resolve, reject) => {
+    const cleanUp = () => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      if (signal)
+        signal.removeEventListener('abort', onAbort);
+    };
+
+    const onUpdated = (updatedTabId, changeInfo, tab) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanUp();
+        resolve(tab);
+      }
+    };
+
+    const onRemoved = (removedTabId) => {
+      if (removedTabId === tabId) {
+        cleanUp();
+        reject(new Error('The tab was closed while it was loading.'));
+      }
+    };
+
+    // Without this, the listeners would stay registered for the
+    //  rest of the popup's life after the task gives up on the tab.
+    const onAbort = () => {
+      cleanUp();
+      reject(signal.reason || new Error('Stopped waiting for the tab to load.'));
+    };
+
+    if (signal && signal.aborted) {
+      reject(signal.reason || new Error('Stopped waiting for the tab to load.'));
+      return;
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    if (signal)
+      signal.addEventListener('abort', onAbort);
+
+    // The tab may have finished loading before the listeners were
+    //  added, in which case no more updates will arrive.
+    chrome.tabs.get(tabId, (tab) => {
+      if (chrome.runtime.lastError) {
+        cleanUp();
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (tab.status === 'complete' && !tab.discarded) {
+        cleanUp();
+        resolve(tab);
+      }
+    });
+  });
+}
+
+/**
+ * Reloads a discarded or unloaded tab in the background, without
+ *  activating it, and waits until it has finished loading.
+ *
+ * @param {Number} tabId - The ID of the tab.
+ * @param {AbortSignal} [signal] - Stops waiting for the tab.
+ *
+ * @return {Promise<Object>} Resolves to the reloaded tab.
+ */
+function reloadTabAndWait(tabId, signal = null) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.reload(tabId, () => {
+      if (chrome.runtime.lastError)
+        reject(new Error(`Unable to reload the tab: ${chrome.runtime.lastError.message}`));
+      else
+        waitForTabComplete(tabId, signal).then(resolve, reject);
+    });
+  });
+}
@@ -0,0 +1,116 @@
+// Tests of the caption track parsing in caption-tracks.js, against
+//  a saved player response and timedtext payloads in each of the
+//  formats YouTube serves.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers/load-scripts');
+
+const {
+  CAPTION_TRACK_KIND_ASR,
+  CAPTION_TRACK_KIND_MANUAL,
+  PLAYER_RESPONSE_MARKER,
+  decodeXmlEntities,
+  extractJsonObjectAfterMarker,
+  getCaptionTracksFromPlayerResponse,
+  chooseCaptionTrack,
+  parseTimedText
+} = loadScripts(['caption-tracks.js'], [
+  'CAPTION_TRACK_KIND_ASR',
+  'CAPTION_TRACK_KIND_MANUAL',
+  'PLAYER_RESPONSE_MARKER',
+  'decodeXmlEntities',
+  'extractJsonObjectAfterMarker',
+  'getCaptionTracksFromPlayerResponse',
+  'chooseCaptionTrack',
+  'parseTimedText'
+]);
+
+const playerResponse = JSON.parse(readFixture('player-response.json'));
+
+test('getCaptionTracksFromPlayerResponse reads every track that has a URL', () => {
+  const aryTracks = getCaptionTracksFromPlayerResponse(playerResponse);
+
+  assert.deepEqual(aryTracks.map(track => track.trackId), ['a.en', '.en-GB', '.de', 'asr.pt-BR']);
+  assert.deepEqual(aryTracks[0], {
+    trackId: 'a.en',
+    baseUrl: 'https://www.youtube.com/api/timedtext?v=dQw4w9WgXcQ&lang=en&kind=asr',
+    languageCode: 'en',
+    languageName: 'English (auto-generated)',
+    kind: CAPTION_TRACK_KIND_ASR
+  });
+  // A name made of runs, and a track without a kind.
+  assert.equal(aryTracks[1].languageName, 'English (United Kingdom)');
+  assert.equal(aryTracks[1].kind, CAPTION_TRACK_KIND_MANUAL);
+});
+
+test('getCaptionTracksFromPlayerResponse returns no tracks for a video without captions', () => {
+  assert.deepEqual(getCaptionTracksFromPlayerResponse({ videoDetails: playerResponse.videoDetails }), []);
+  assert.deepEqual(getCaptionTracksFromPlayerResponse(null), []);
+});
+
+test('extractJsonObjectAfterMarker finds the player response in the watch page', () => {
+  const watchPageHtml =
+      `<script>var ${PLAYER_RESPONSE_MARKER} = ${JSON.stringify(playerResponse)};var meta = {"a": "}"};</script>`;
+
+  assert.deepEqual(extractJsonObjectAfterMarker(watchPageHtml, PLAYER_RESPONSE_MARKER), playerResponse);
+  assert.equal(extractJsonObjectAfterMarker('<script>var x = 1;</script>', PLAYER_RESPONSE_MARKER), null);
+});
+
+test('chooseCaptionTrack prefers the language, then the kind of track', () => {
+  const aryTracks = getCaptionTracksFromPlayerResponse(playerResponse);
+
+  assert.equal(chooseCaptionTrack(aryTracks, ['de', 'en']).trackId, '.de');
+  // "en" matches both English tracks; the manual one wins.
+  assert.equal(chooseCaptionTrack(aryTracks, ['en']).trackId, '.en-GB');
+  assert.equal(chooseCaptionTrack(aryTracks, ['en'], CAPTION_TRACK_KIND_ASR).trackId, 'a.en');
+  // A region only matches itself.
+  assert.equal(chooseCaptionTrack(aryTracks, ['en-US', 'pt-BR']).trackId, 'asr.pt-BR');
+});
+
+test('chooseCaptionTrack falls back to the preferred kind, then the first track', () => {
+  const aryTracks = getCaptionTracksFromPlayerResponse(playerResponse);
+  const aryAsrTracks = aryTracks.filter(track => track.kind === CAPTION_TRACK_KIND_ASR);
+
+  assert.equal(chooseCaptionTrack(aryTracks, ['ja']).trackId, '.en-GB');
+  assert.equal(chooseCaptionTrack(aryTracks, ['ja'], CAPTION_TRACK_KIND_ASR).trackId, 'a.en');
+  assert.equal(chooseCaptionTrack(aryAsrTracks, []).trackId, 'a.en');
+  assert.equal(chooseCaptionTrack([], ['en']), null);
+});
+
+test('parseTimedText parses the json3 format', () => {
+  assert.deepEqual(parseTimedText(readFixture('timedtext.json3')), [
+    { transcriptText: 'welcome back everyone', timestampString: '0:00', offsetInSeconds: 0 },
+    { transcriptText: 'today we look at caption tracks', timestampString: '0:03', offsetInSeconds: 3 },
+    { transcriptText: '[Music]', timestampString: '1:05', offsetInSeconds: 65 },
+    { transcriptText: 'thanks for watching', timestampString: '1:02:05', offsetInSeconds: 3725 }
+  ]);
+});
+
+test('parseTimedText parses the original XML format, escaped twice', () => {
+  assert.deepEqual(parseTimedText(readFixture('timedtext.xml')), [
+    { transcriptText: 'Welcome back & hello', timestampString: '0:00', offsetInSeconds: 0 },
+    { transcriptText: 'It\'s about "caption tracks"', timestampString: '0:03', offsetInSeconds: 3 },
+    { transcriptText: '5 < 6 > 4', timestampString: '1:05', offsetInSeconds: 65 }
+  ]);
+});
+
+test('parseTimedText parses the srv3 format, with word level elements', () => {
+  assert.deepEqual(parseTimedText(readFixture('timedtext.srv3')), [
+    { transcriptText: 'welcome back everyone', timestampString: '0:00', offsetInSeconds: 0 },
+    { transcriptText: 'Line one line two & more ☺ \'quoted\'', timestampString: '0:03', offsetInSeconds: 3 },
+    { transcriptText: 'thanks for watching', timestampString: '1:02:05', offsetInSeconds: 3725 }
+  ]);
+});
+
+test('parseTimedText rejects empty and unknown payloads', () => {
+  assert.throws(() => parseTimedText('   '), /empty/);
+  assert.throws(() => parseTimedText('{"events": ['), /not valid JSON/);
+  assert.throws(() => parseTimedText('WEBVTT'), /unknown format/);
+});
+
+test('decodeXmlEntities decodes named and numeric references', () => {
+  assert.equal(decodeXmlEntities('&lt;b&gt; &amp;amp; &#39;a&#x27; &quot;q&quot;&nbsp;&apos;'), '<b> & \'a\' "q" \'');
+  // A reference to an invalid code point is kept as it is.
+  assert.equal(decodeXmlEntities('&#0; &#x110000;'), '&#0; &#x110000;');
+});
@@ -0,0 +1,42 @@
+// Tests of the {videoId} token of the filename templates in
+//  filename-templates.js, which takes its video IDs from
+//  classifyYouTubeUrl() in youtube-url.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+  getFilenameVideoId,
+  buildExportFilename,
+  FilenameDeduplicator
+} = loadScripts(['youtube-url.js', 'filename-templates.js'], [
+  'getFilenameVideoId',
+  'buildExportFilename',
+  'FilenameDeduplicator'
+]);
+
+test('getFilenameVideoId reads the video ID of every kind of video URL', () => {
+  assert.equal(getFilenameVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42'), 'dQw4w9WgXcQ');
+  assert.equal(getFilenameVideoId('https://m.youtube.com/watch?v=dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(getFilenameVideoId('https://youtu.be/dQw4w9WgXcQ?si=abc'), 'dQw4w9WgXcQ');
+  assert.equal(getFilenameVideoId('https://www.youtube.com/shorts/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(getFilenameVideoId('https://www.youtube.com/live/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(getFilenameVideoId('https://www.youtube.com/embed/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+});
+
+test('getFilenameVideoId returns the empty string for other URLs', () => {
+  assert.equal(getFilenameVideoId('https://www.youtube.com/@channel/live'), '');
+  assert.equal(getFilenameVideoId('https://www.youtube.com/watch?v=short'), '');
+  assert.equal(getFilenameVideoId('https://example.com/watch?v=dQw4w9WgXcQ'), '');
+  assert.equal(getFilenameVideoId('not a url'), '');
+  assert.equal(getFilenameVideoId(undefined), '');
+});
+
+test('buildExportFilename fills in the video ID of a short', () => {
+  const aryItems = [{ title: 'A short', url: 'https://www.youtube.com/shorts/dQw4w9WgXcQ' }];
+
+  assert.equal(
+      buildExportFilename('{videoId}_{title}', aryItems, 'txt', 0, new FilenameDeduplicator()),
+      'dQw4w9WgXcQ_A short.txt');
+});
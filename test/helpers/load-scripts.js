@@ -0,0 +1,48 @@
+// Loads the extension's scripts for the tests.  The scripts are not
+//  modules: they declare their functions at the top level and share
+//  them as globals, the way the manifest and the popup pages load
+//  them.  So the scripts are run together in one function, with the
+//  browser globals they need passed in, and the names a test asks
+//  for are handed back.
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_DIR = path.join(__dirname, '..', '..');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Runs the given scripts of the extension, in order, and returns
+ *  the top level names a test needs.
+ *
+ * @param {String[]} aryFileNames - The scripts, relative to the
+ *  root of the repository.
+ * @param {String[]} aryExportNames - The top level functions,
+ *  classes and constants to return.
+ * @param {Object} [browserGlobals] - The browser globals the
+ *  scripts use, like document, window or chrome, by name.
+ *
+ * @return {Object} The requested names and their values.
+ */
+function loadScripts(aryFileNames, aryExportNames, browserGlobals = {}) {
+  const source = aryFileNames
+      .map(fileName => fs.readFileSync(path.join(REPO_DIR, fileName), 'utf8'))
+      .join('\n;\n');
+  const aryGlobalNames = Object.keys(browserGlobals);
+  const funcRunScripts = new Function(...aryGlobalNames, `${source}\n;return { ${aryExportNames.join(', ')} };`);
+
+  return funcRunScripts(...aryGlobalNames.map(name => browserGlobals[name]));
+}
+
+/**
+ * Reads a saved fixture file.
+ *
+ * @param {String} fileName - The name of the file in test/fixtures.
+ *
+ * @return {String}
+ */
+function readFixture(fileName) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, fileName), 'utf8');
+}
+
+module.exports = { loadScripts, readFixture };
@@ -0,0 +1,39 @@
+// Tests of the Markdown conversion in markdown-export.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+  escapeMarkdownUrl,
+  contentBlocksToMarkdown
+} = loadScripts(['markdown-export.js'], [
+  'escapeMarkdownUrl',
+  'contentBlocksToMarkdown'
+]);
+
+test('escapeMarkdownUrl encodes the characters that end a link destination', () => {
+  assert.equal(escapeMarkdownUrl('https://en.wikipedia.org/wiki/Mercury_(planet)'),
+      'https://en.wikipedia.org/wiki/Mercury_%28planet%29');
+  assert.equal(escapeMarkdownUrl('https://example.com/a b\tc'), 'https://example.com/a%20b%09c');
+  assert.equal(escapeMarkdownUrl('https://example.com/?q=1&r=2'), 'https://example.com/?q=1&r=2');
+});
+
+test('links, inline images and image blocks escape their URLs the same way', () => {
+  const markdown = contentBlocksToMarkdown([
+    {
+      type: 'paragraph',
+      spans: [
+        { text: 'Mercury', href: 'https://example.com/Mercury_(planet)' },
+        { text: ' ' },
+        { image: { alt: 'icon', src: 'https://example.com/my icon (1).png' } }
+      ]
+    },
+    { type: 'image', alt: 'Photo', src: 'https://example.com/photo (2).jpg', title: 'A "photo"' }
+  ]);
+
+  assert.equal(markdown, [
+    '[Mercury](https://example.com/Mercury_%28planet%29) ![icon](https://example.com/my%20icon%20%281%29.png)',
+    '![Photo](https://example.com/photo%20%282%29.jpg "A \\"photo\\"")'
+  ].join('\n\n'));
+});
@@ -0,0 +1,174 @@
+// Tests of the summarizer session pool in summarizer-sessions.js,
+//  with fake summarizer sessions.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { SummarizerSessionPool } = loadScripts(['summarizer-sessions.js'], ['SummarizerSessionPool'], {
+  console: { log: () => {}, warn: () => {}, error: console.error }
+});
+
+/**
+ * Builds a function that creates fake summarizer sessions.  Each
+ *  creation waits until release() is called, so tests can act
+ *  while a session is being created.
+ *
+ * @return {Object} The { funcCreateSession, release, arySessions }
+ *  of the fake.
+ */
+function createFakeSessionFactory() {
+  const factory = {
+    arySessions: [],
+    aryPendingResolves: [],
+    funcCreateSession: (type, format, length) => new Promise(resolve => {
+      const session = {
+        key: `${type}|${format}|${length}`,
+        bIsDestroyed: false,
+        summarize: async text => `summary of ${text}`,
+        destroy: () => {
+          session.bIsDestroyed = true;
+        }
+      };
+
+      factory.arySessions.push(session);
+      factory.aryPendingResolves.push(() => resolve(session));
+    }),
+    release: () => {
+      factory.aryPendingResolves.splice(0).forEach(resolve => resolve());
+    }
+  };
+
+  return factory;
+}
+
+test('getSession_async only counts a session that is ready as reused', async () => {
+  const factory = createFakeSessionFactory();
+  const pool = new SummarizerSessionPool(factory.funcCreateSession);
+
+  // Two chunks ask for the same session while it is being created.
+  const firstPromise = pool.getSession_async('tldr', 'plain-text', 'short');
+  const secondPromise = pool.getSession_async('tldr', 'plain-text', 'short');
+
+  factory.release();
+
+  const firstSession = await firstPromise;
+
+  assert.equal(await secondPromise, firstSession);
+  assert.equal(factory.arySessions.length, 1);
+  assert.equal(pool.getMetrics().numSessionsCreated, 1);
+  assert.equal(pool.getMetrics().numSessionsReused, 0);
+
+  assert.equal(await pool.getSession_async('tldr', 'plain-text', 'short'), firstSession);
+  assert.equal(pool.getMetrics().numSessionsReused, 1);
+});
+
+test('getSession_async keeps one session per type, format and length', async () => {
+  const factory = createFakeSessionFactory();
+  const pool = new SummarizerSessionPool(factory.funcCreateSession);
+  const tldrPromise = pool.getSession_async('tldr', 'plain-text', 'short');
+  const keyPointsPromise = pool.getSession_async('key-points', 'plain-text', 'short');
+
+  factory.release();
+
+  assert.notEqual(await tldrPromise, await keyPointsPromise);
+  assert.equal(pool.getMetrics().numSessionsCreated, 2);
+});
+
+test('a failed session is destroyed and the text is summarized with a new one', async () => {
+  const factory = createFakeSessionFactory();
+  const pool = new SummarizerSessionPool(factory.funcCreateSession);
+  const summaryPromise = pool.summarize_async('tldr', 'plain-text', 'short', 'the text');
+
+  factory.arySessions[0].summarize = async () => {
+    throw new Error('session lost');
+  };
+  factory.release();
+
+  // Let the first attempt fail before the new session is released.
+  await new Promise(resolve => setTimeout(resolve, 0));
+  factory.release();
+
+  assert.equal(await summaryPromise, 'summary of the text');
+  assert.equal(factory.arySessions[0].bIsDestroyed, true);
+  assert.equal(factory.arySessions.length, 2);
+  assert.equal(pool.getMetrics().numSessionErrors, 1);
+  assert.equal(pool.getMetrics().numSummarizeCalls, 1);
+});
+
+test('destroyAll destroys the sessions and closes the pool', async () => {
+  const factory = createFakeSessionFactory();
+  const pool = new SummarizerSessionPool(factory.funcCreateSession);
+  const sessionPromise = pool.getSession_async('tldr', 'plain-text', 'short');
+
+  factory.release();
+
+  const session = await sessionPromise;
+
+  pool.destroyAll();
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.equal(session.bIsDestroyed, true);
+  await assert.rejects(pool.getSession_async('tldr', 'plain-text', 'short'), /closed/);
+  await assert.rejects(pool.summarize_async('tldr', 'plain-text', 'short', 'the text'), /closed/);
+  assert.equal(factory.arySessions.length, 1);
+});
+
+test('destroyAll during creation does not hand out the session it destroys', async () => {
+  const factory = createFakeSessionFactory();
+  const pool = new SummarizerSessionPool(factory.funcCreateSession);
+  const creatingPromise = pool.getSession_async('tldr', 'plain-text', 'short');
+  const waitingPromise = pool.getSession_async('tldr', 'plain-text', 'short');
+
+  pool.destroyAll();
+  factory.release();
+
+  await assert.rejects(creatingPromise, /closed while the session was being created/);
+  await assert.rejects(waitingPromise, /closed while the session was being created/);
+  assert.equal(factory.arySessions[0].bIsDestroyed, true);
+});
+
+/**
+ * Summarizes a text with a pooled fake session that streams the
+ *  given chunks, and collects the partial summaries.
+ *
+ * @param {String[]} aryStreamChunks - The chunks the stream yields.
+ *
+ * @return {Promise<Object>} The { summary, aryPartialSummaries }.
+ */
+async function summarizeStreamed_async(aryStreamChunks) {
+  const factory = createFakeSessionFactory();
+  const pool = new SummarizerSessionPool(factory.funcCreateSession);
+  const aryPartialSummaries = [];
+  const summaryPromise = pool.summarize_async('key-points', 'markdown', 'short', 'the text', {},
+      partialSummary => aryPartialSummaries.push(partialSummary));
+
+  factory.arySessions[0].summarizeStreaming = async function* () {
+    yield* aryStreamChunks;
+  };
+  factory.release();
+
+  return { summary: await summaryPromise, aryPartialSummaries: aryPartialSummaries };
+}
+
+test('a stream of the whole summary so far is followed as it is', async () => {
+  const { summary, aryPartialSummaries } = await summarizeStreamed_async(['* One', '* One\n* Two', '* One\n* Two\n* Three']);
+
+  assert.equal(summary, '* One\n* Two\n* Three');
+  assert.deepEqual(aryPartialSummaries, ['* One', '* One\n* Two', '* One\n* Two\n* Three']);
+});
+
+test('a stream of new text only is appended, even when a piece starts like the text so far', async () => {
+  // The last piece starts with the whole text so far.
+  const { summary, aryPartialSummaries } = await summarizeStreamed_async(['* A', '\n', '', '* A\n* B']);
+
+  assert.equal(summary, '* A\n* A\n* B');
+  assert.deepEqual(aryPartialSummaries, ['* A', '* A\n', '* A\n* A\n* B']);
+
+  // The second piece starts with the first, but does not extend it.
+  assert.equal((await summarizeStreamed_async(['*', '*', ' Two'])).summary, '** Two');
+});
+
+test('the constructor rejects a missing session factory', () => {
+  assert.throws(() => new SummarizerSessionPool(null), /not a function/);
+});
@@ -0,0 +1,276 @@
+// Tests of the sentence splitting, token counting, chunking and
+//  summary grouping in text-chunker.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const {
+  DEFAULT_CHARS_PER_TOKEN,
+  MAX_SENTENCE_WORDS,
+  segmentSentences,
+  TokenCounter,
+  chunkifyText_async,
+  fitTextToTokens_async,
+  groupTextsForReduction_async
+} = loadScripts(['text-chunker.js'], [
+  'DEFAULT_CHARS_PER_TOKEN',
+  'MAX_SENTENCE_WORDS',
+  'segmentSentences',
+  'TokenCounter',
+  'chunkifyText_async',
+  'fitTextToTokens_async',
+  'groupTextsForReduction_async'
+], {
+  console: { log: () => {}, warn: () => {}, error: console.error }
+});
+
+/**
+ * Builds a fake summarizer session whose measureInputUsage()
+ *  counts one token per word, and remembers what it measured.
+ *
+ * @return {Object}
+ */
+function createWordCountingSession() {
+  const session = {
+    inputQuota: 1000,
+    aryMeasuredTexts: [],
+    measureInputUsage: async (text) => {
+      session.aryMeasuredTexts.push(text);
+      return text.split(/\s+/).filter(word => word.length > 0).length;
+    }
+  };
+
+  return session;
+}
+
+/**
+ * Builds a text of numbered words, like "w1 w2 w3".
+ *
+ * @param {Number} numWords - The number of words.
+ *
+ * @return {String}
+ */
+function buildWords(numWords) {
+  return Array.from({ length: numWords }, (value, ndx) => `w${ndx + 1}`).join(' ');
+}
+
+test('segmentSentences does not end sentences at abbreviations, initials or decimals', () => {
+  const text = 'Dr. Smith paid $3.50 for it, e.g. at 9 a.m. on Monday. J. R. Tolkien wrote it! Did he? Yes.';
+
+  assert.deepEqual(segmentSentences(text).map(sentence => sentence.text), [
+    'Dr. Smith paid $3.50 for it, e.g. at 9 a.m. on Monday.',
+    'J. R. Tolkien wrote it!',
+    'Did he?',
+    'Yes.'
+  ]);
+});
+
+test('segmentSentences keeps the indexes of each sentence in the text', () => {
+  const text = '  "Hello there."  See www.example.com for more.  ';
+
+  segmentSentences(text).forEach(sentence => {
+    assert.equal(text.substring(sentence.start, sentence.end), sentence.text);
+  });
+  assert.deepEqual(segmentSentences(text).map(sentence => sentence.text),
+      ['"Hello there."', 'See www.example.com for more.']);
+});
+
+test('segmentSentences cuts unpunctuated automatic captions by word count', () => {
+  const text = buildWords(MAX_SENTENCE_WORDS * 2 + 5);
+  const arySentences = segmentSentences(text);
+
+  assert.deepEqual(arySentences.map(sentence => sentence.text.split(' ').length),
+      [MAX_SENTENCE_WORDS, MAX_SENTENCE_WORDS, 5]);
+  assert.equal(arySentences.map(sentence => sentence.text).join(' '), text);
+  assert.equal(segmentSentences(buildWords(7), 3).length, 3);
+});
+
+test('TokenCounter estimates CJK characters as one token each', () => {
+  const tokenCounter = new TokenCounter();
+
+  assert.equal(tokenCounter.bCanMeasure, false);
+  assert.equal(tokenCounter.getInputQuota(), null);
+  assert.equal(tokenCounter.estimate('abcdefgh'), Math.ceil(8 / DEFAULT_CHARS_PER_TOKEN));
+  assert.equal(tokenCounter.estimate('文字起こし'), 5);
+});
+
+test('TokenCounter measures with the session and calibrates its estimate', async () => {
+  const session = createWordCountingSession();
+  const tokenCounter = new TokenCounter(session);
+  const text = buildWords(100);
+
+  assert.equal(tokenCounter.getInputQuota(), 1000);
+  assert.equal(await tokenCounter.count_async(text), 100);
+  assert.deepEqual(session.aryMeasuredTexts, [text]);
+  // Halfway from 4 characters per token to the measured ratio.
+  assert.equal(tokenCounter.charsPerToken, (DEFAULT_CHARS_PER_TOKEN + text.length / 100) / 2);
+
+  // A short text does not move the estimate.
+  await tokenCounter.count_async('a b c');
+  assert.equal(tokenCounter.charsPerToken, (DEFAULT_CHARS_PER_TOKEN + text.length / 100) / 2);
+});
+
+test('TokenCounter falls back to the estimate when a measurement fails', async () => {
+  const session = {
+    measureInputUsage: async () => {
+      throw new Error('not available');
+    }
+  };
+  const tokenCounter = new TokenCounter(session);
+
+  assert.equal(tokenCounter.bCanMeasure, true);
+  assert.equal(await tokenCounter.count_async('abcdefgh'), 2);
+  assert.equal(tokenCounter.bCanMeasure, false);
+});
+
+test('chunkifyText_async packs whole sentences into chunks by the estimate', async () => {
+  const text = 'One two three. Four five six. Seven eight nine. Ten eleven twelve.';
+  const aryChunks = await chunkifyText_async(text, { tokenCounter: new TokenCounter(), maxTokens: 13 });
+
+  assert.deepEqual(aryChunks.map(chunk => chunk.text),
+      ['One two three. Four five six.', 'Seven eight nine. Ten eleven twelve.']);
+  aryChunks.forEach(chunk => assert.equal(text.substring(chunk.start, chunk.end), chunk.text));
+});
+
+test('chunkifyText_async repeats the overlapping sentences in the next chunk', async () => {
+  const text = 'One two three. Four five six. Seven eight nine. Ten eleven twelve.';
+  const aryExpectedChunks = [
+    'One two three. Four five six.',
+    'Four five six. Seven eight nine.',
+    'Seven eight nine. Ten eleven twelve.'
+  ];
+
+  assert.deepEqual((await chunkifyText_async(text,
+      { tokenCounter: new TokenCounter(), maxTokens: 13, overlapSentences: 1 })).map(chunk => chunk.text),
+  aryExpectedChunks);
+  // However large the overlap, each chunk starts further on.
+  assert.deepEqual((await chunkifyText_async(text,
+      { tokenCounter: new TokenCounter(), maxTokens: 13, overlapSentences: 5 })).map(chunk => chunk.text),
+  aryExpectedChunks);
+});
+
+test('chunkifyText_async shrinks the chunks the session measures as too big', async () => {
+  // The estimate takes each sentence for 4 tokens, and the session
+  //  measures 5, one per word.
+  const session = createWordCountingSession();
+  const text = 'Aa bb cc dd ee. Ff gg hh ii jj. Kk ll mm nn oo. Pp qq rr ss tt.';
+  const estimatedChunks = await chunkifyText_async(text, { tokenCounter: new TokenCounter(), maxTokens: 9 });
+  const measuredChunks = await chunkifyText_async(text, { tokenCounter: new TokenCounter(session), maxTokens: 9 });
+
+  assert.deepEqual(estimatedChunks.map(chunk => chunk.text),
+      ['Aa bb cc dd ee. Ff gg hh ii jj.', 'Kk ll mm nn oo. Pp qq rr ss tt.']);
+  assert.deepEqual(measuredChunks.map(chunk => chunk.text),
+      ['Aa bb cc dd ee.', 'Ff gg hh ii jj.', 'Kk ll mm nn oo.', 'Pp qq rr ss tt.']);
+  assert.ok(session.aryMeasuredTexts.includes('Aa bb cc dd ee. Ff gg hh ii jj.'));
+});
+
+test('chunkifyText_async cuts a sentence that is too big for a chunk at word boundaries', async () => {
+  const text = buildWords(30) + '.';
+  const aryChunks = await chunkifyText_async(text, { tokenCounter: new TokenCounter(), maxTokens: 10 });
+
+  assert.ok(aryChunks.length > 1);
+  aryChunks.forEach(chunk => assert.ok(new TokenCounter().estimate(chunk.text) <= 10));
+  assert.equal(aryChunks.map(chunk => chunk.text).join(' '), text);
+});
+
+test('chunkifyText_async rejects bad options', async () => {
+  await assert.rejects(chunkifyText_async('Text.', { tokenCounter: {}, maxTokens: 10 }), /TokenCounter/);
+  await assert.rejects(chunkifyText_async('Text.', { tokenCounter: new TokenCounter(), maxTokens: 0 }), /maxTokens/);
+});
+
+test('fitTextToTokens_async keeps the whole sentences at the start that fit', async () => {
+  const options = { tokenCounter: new TokenCounter(createWordCountingSession()), maxTokens: 7 };
+
+  assert.equal(await fitTextToTokens_async('Aa bb cc. Dd ee ff.', options), 'Aa bb cc. Dd ee ff.');
+  assert.equal(await fitTextToTokens_async('Aa bb cc. Dd ee ff. Gg hh.', options), 'Aa bb cc. Dd ee ff.');
+});
+
+test('groupTextsForReduction_async groups the summaries that fit together', async () => {
+  const options = { tokenCounter: new TokenCounter(createWordCountingSession()), maxTokens: 10 };
+  const aryGroups = await groupTextsForReduction_async(['a b c', 'd e f', 'g h i', 'j k', 'l m n o p q'], options);
+
+  assert.deepEqual(aryGroups, [{ firstNdx: 0, lastNdx: 2 }, { firstNdx: 3, lastNdx: 4 }]);
+});
+
+test('groupTextsForReduction_async leaves summaries that are too big to pair on their own', async () => {
+  const session = createWordCountingSession();
+  const options = { tokenCounter: new TokenCounter(session), maxTokens: 10 };
+  const aryTexts = [buildWords(12), buildWords(11), 'a b', 'c d', buildWords(9)];
+  const aryGroups = await groupTextsForReduction_async(aryTexts, options);
+
+  assert.deepEqual(aryGroups, [
+    { firstNdx: 0, lastNdx: 0 },
+    { firstNdx: 1, lastNdx: 1 },
+    { firstNdx: 2, lastNdx: 3 },
+    { firstNdx: 4, lastNdx: 4 }
+  ]);
+
+  // No group of two or more goes over the budget.
+  for (const group of aryGroups) {
+    if (group.lastNdx > group.firstNdx)
+      assert.ok(await options.tokenCounter.count_async(aryTexts.slice(group.firstNdx, group.lastNdx + 1).join('\n')) <= 10);
+  }
+
+  // Two oversized summaries make no group at all, so the caller
+  //  knows the level cannot get smaller.
+  assert.deepEqual(await groupTextsForReduction_async([buildWords(12), buildWords(12)], options),
+      [{ firstNdx: 0, lastNdx: 0 }, { firstNdx: 1, lastNdx: 1 }]);
+});
+
+test('groupTextsForReduction_async pairs summaries cut to half the budget', async () => {
+  const options = { tokenCounter: new TokenCounter(createWordCountingSession()), maxTokens: 11 };
+  const halfOptions = { tokenCounter: options.tokenCounter, maxTokens: 5 };
+  const aryTexts = [];
+
+  for (const text of ['Aa bb cc. Dd ee ff. Gg hh ii.', 'Jj kk ll mm. Nn oo pp. Qq rr ss.'])
+    aryTexts.push(await fitTextToTokens_async(text, halfOptions));
+
+  assert.deepEqual(aryTexts, ['Aa bb cc.', 'Jj kk ll mm.']);
+  assert.deepEqual(await groupTextsForReduction_async(aryTexts, options), [{ firstNdx: 0, lastNdx: 1 }]);
+});
+
+test('groupTextsForReduction_async rejects bad parameters', async () => {
+  await assert.rejects(groupTextsForReduction_async('text', { tokenCounter: new TokenCounter() }), /not an array/);
+  await assert.rejects(groupTextsForReduction_async([], {}), /TokenCounter/);
+  assert.deepEqual(await groupTextsForReduction_async([], { tokenCounter: new TokenCounter(), maxTokens: 10 }), []);
+});
+
+test('chunkifyText_async cuts a single sentence the session measures as too big', async () => {
+  // The session measures 2 tokens per word, where the estimate
+  //  takes the whole sentence for 6.
+  const session = {
+    inputQuota: 1000,
+    measureInputUsage: async (text) => text.split(/\s+/).filter(word => word.length > 0).length * 2
+  };
+  const text = 'Aa bb cc dd ee ff gg hh.';
+  const aryChunks = await chunkifyText_async(text, { tokenCounter: new TokenCounter(session), maxTokens: 8 });
+
+  assert.deepEqual(aryChunks.map(chunk => chunk.text), ['Aa bb cc dd', 'ee ff gg hh.']);
+  aryChunks.forEach(chunk => assert.equal(text.substring(chunk.start, chunk.end), chunk.text));
+});
+
+test('chunkifyText_async cuts a sentence without spaces between characters', async () => {
+  // The session measures 2 tokens per character, where the
+  //  estimate takes each CJK character for 1.
+  const session = {
+    inputQuota: 1000,
+    measureInputUsage: async (text) => Array.from(text).length * 2
+  };
+  const text = '文字起こしを表示します。😀😀';
+  const aryChunks = await chunkifyText_async(text, { tokenCounter: new TokenCounter(session), maxTokens: 15 });
+
+  assert.ok(aryChunks.length > 1);
+  assert.equal(aryChunks.map(chunk => chunk.text).join(''), text);
+  for (const chunk of aryChunks) {
+    assert.ok(await session.measureInputUsage(chunk.text) <= 15);
+    assert.ok(!/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/.test(chunk.text));
+  }
+});
+
+test('chunkifyText_async keeps a piece it cannot cut any further', async () => {
+  const session = { inputQuota: 1000, measureInputUsage: async (text) => Array.from(text).length * 2 };
+  const aryChunks = await chunkifyText_async('😀😀', { tokenCounter: new TokenCounter(session), maxTokens: 1 });
+
+  assert.deepEqual(aryChunks.map(chunk => chunk.text), ['😀', '😀']);
+});
@@ -0,0 +1,97 @@
+// Tests of the lookup of the "Show transcript" and "...more"
+//  buttons in content.js, against watch pages saved in several
+//  YouTube UI languages.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { loadScripts, readFixture } = require('./helpers/load-scripts');
+
+// The content scripts, in the order the manifest loads them.
+const CONTENT_SCRIPTS = ['youtube-url.js', 'caption-tracks.js', 'video-metadata.js', 'content.js'];
+
+/**
+ * Loads the content scripts into a saved watch page.
+ *
+ * @param {String} fixtureName - The saved page in test/fixtures.
+ *
+ * @return {Object} The content script functions the tests use, and
+ *  the document of the page.
+ */
+function loadContentScriptsInPage(fixtureName) {
+  const dom = new JSDOM(readFixture(fixtureName), { url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
+  const chromeStub = {
+    runtime: {
+      onMessage: { addListener: () => {} },
+      onConnect: { addListener: () => {} }
+    }
+  };
+  const contentScript = loadScripts(
+      CONTENT_SCRIPTS,
+      ['findTranscriptButton', 'findMoreButtons', 'isYouTubeUiLabel'],
+      {
+        window: dom.window,
+        document: dom.window.document,
+        location: dom.window.location,
+        chrome: chromeStub,
+        console: { log: () => {}, info: () => {}, warn: () => {}, error: console.error }
+      });
+
+  return Object.assign({ document: dom.window.document }, contentScript);
+}
+
+test('finds the buttons of a German page by their place in the page', () => {
+  const { document, findTranscriptButton, findMoreButtons } = loadContentScriptsInPage('watch-page-de.html');
+  const transcriptButton = findTranscriptButton();
+  const aryMoreButtons = findMoreButtons();
+
+  assert.ok(transcriptButton);
+  assert.equal(transcriptButton.getAttribute('aria-label'), 'Transkript anzeigen');
+  assert.equal(transcriptButton, document.querySelector('ytd-video-description-transcript-section-renderer button'));
+  assert.equal(aryMoreButtons.length, 1);
+  assert.equal(aryMoreButtons[0].id, 'expand');
+});
+
+test('finds the buttons of a Japanese page by their labels', () => {
+  const { findTranscriptButton, findMoreButtons } = loadContentScriptsInPage('watch-page-ja.html');
+  const transcriptButton = findTranscriptButton();
+  const aryMoreButtons = findMoreButtons();
+
+  assert.ok(transcriptButton);
+  assert.equal(transcriptButton.getAttribute('aria-label'), '文字起こしを表示');
+  // The label uses the ellipsis character, and the hidden "show
+  //  less" button is left out.
+  assert.equal(aryMoreButtons.length, 1);
+  assert.equal(aryMoreButtons[0].className, 'more-button');
+});
+
+test('finds the buttons of a Brazilian Portuguese page by their text', () => {
+  const { findTranscriptButton, findMoreButtons } = loadContentScriptsInPage('watch-page-pt-BR.html');
+  const transcriptButton = findTranscriptButton();
+  const aryMoreButtons = findMoreButtons();
+
+  // The hidden button with the same label comes first in the page.
+  assert.ok(transcriptButton);
+  assert.equal(transcriptButton.className, 'transcript-button');
+  assert.equal(aryMoreButtons.length, 1);
+  assert.equal(aryMoreButtons[0].textContent.trim(), '...MAIS');
+});
+
+test('finds no buttons in a page without them', () => {
+  const { document, findTranscriptButton, findMoreButtons } = loadContentScriptsInPage('watch-page-ja.html');
+
+  document.querySelectorAll('button, tp-yt-paper-button').forEach(element => element.remove());
+
+  assert.equal(findTranscriptButton(), null);
+  assert.equal(findMoreButtons(), null);
+});
+
+test('isYouTubeUiLabel ignores case, spacing and the form of the ellipsis', () => {
+  const { isYouTubeUiLabel } = loadContentScriptsInPage('watch-page-de.html');
+
+  assert.equal(isYouTubeUiLabel('  show   TRANSCRIPT ', 'transcriptButton'), true);
+  assert.equal(isYouTubeUiLabel('…ещё', 'moreButton'), true);
+  assert.equal(isYouTubeUiLabel('Transkript anzeigen', 'moreButton'), false);
+  assert.equal(isYouTubeUiLabel('Teilen', 'transcriptButton'), false);
+  assert.equal(isYouTubeUiLabel(null, 'transcriptButton'), false);
+});
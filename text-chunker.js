@@ -0,0 +1,520 @@
+// This file contains the chunker that splits long texts into pieces
+//  the summarizer can take in one go.  Chunk sizes are measured in
+//  tokens: with the summarizer's own measureInputUsage() when the
+//  browser has it, and otherwise with an estimate that is
+//  calibrated against those measurements.  Chunks are made of
+//  whole sentences, and consecutive chunks can share a few
+//  sentences so that no thought is cut off without context.
+//
+// The sentence splitting and estimating functions are pure, so
+//  they can be run on their own against sample texts.
+
+// The number of characters per token the estimate starts with.
+//  This is close to what the built-in model's tokenizer gives for
+//  English text.
+const DEFAULT_CHARS_PER_TOKEN = 4;
+
+// Chinese, Japanese and Korean characters are about one token
+//  each, whatever the language of the rest of the text.
+const CJK_CHARACTER_REGEX = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/g;
+
+// Texts shorter than this are not used to calibrate the estimate,
+//  since a few characters more or less swing their ratio too much.
+const MIN_CALIBRATION_LENGTH = 200;
+
+// The input size of a chunk when the summarizer does not report
+//  its input quota.  The first versions of the built-in model took
+//  1024 tokens per prompt.
+const DEFAULT_INPUT_QUOTA_TOKENS = 1024;
+
+// The part of the input quota chunks may fill.  The rest is left
+//  for the instructions and context the summarizer adds.
+const INPUT_QUOTA_USABLE_FRACTION = 0.9;
+
+// Words that end with a period without ending a sentence.
+const SENTENCE_ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp',
+  'no', 'nos', 'vol', 'fig', 'figs', 'approx', 'dept', 'est', 'gen', 'gov', 'sgt', 'capt', 'lt', 'col',
+  'rev', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'e.g', 'i.e', 'u.s', 'u.k', 'a.m', 'p.m'
+]);
+
+// Automatic captions have no punctuation, so runs of words longer
+//  than this are cut into sentences of this many words.
+const MAX_SENTENCE_WORDS = 40;
+
+/**
+ * Returns TRUE if the period at the given index of a text ends an
+ *  abbreviation or an initial, like "Dr." or "J.", rather than a
+ *  sentence.
+ *
+ * @param {String} text - The text.
+ * @param {Number} periodNdx - The index of the period.
+ *
+ * @return {Boolean}
+ */
+function isAbbreviationPeriod(text, periodNdx) {
+  const precedingWord = /([A-Za-z][A-Za-z.]*)$/.exec(text.substring(0, periodNdx));
+
+  if (!precedingWord)
+    return false;
+
+  // A single capital letter is an initial, like the J. in "J. Smith".
+  if (/^[A-Z]$/.test(precedingWord[1]))
+    return true;
+
+  return SENTENCE_ABBREVIATIONS.has(precedingWord[1].toLowerCase());
+}
+
+/**
+ * Splits a span of a text into pieces of at most maxWords words.
+ *
+ * @param {String} text - The text.
+ * @param {Number} start - The index of the start of the span.
+ * @param {Number} end - The index just past the end of the span.
+ * @param {Number} maxWords - The largest number of words per piece.
+ *
+ * @return {Object[]} The { text, start, end } pieces.
+ */
+function splitSpanByWords(text, start, end, maxWords) {
+  const aryPieces = [];
+  const wordRegex = /\S+/g;
+  let pieceStart = -1;
+  let pieceEnd = -1;
+  let numWords = 0;
+  let match;
+
+  wordRegex.lastIndex = start;
+
+  while ((match = wordRegex.exec(text)) !== null && match.index < end) {
+    if (pieceStart < 0)
+      pieceStart = match.index;
+
+    pieceEnd = Math.min(match.index + match[0].length, end);
+    numWords++;
+
+    if (numWords >= maxWords) {
+      aryPieces.push({ text: text.substring(pieceStart, pieceEnd), start: pieceStart, end: pieceEnd });
+      pieceStart = -1;
+      numWords = 0;
+    }
+  }
+
+  if (pieceStart >= 0)
+    aryPieces.push({ text: text.substring(pieceStart, pieceEnd), start: pieceStart, end: pieceEnd });
+
+  return aryPieces;
+}
+
+/**
+ * Splits a span of a text into pieces of at most maxChars
+ *  characters, without cutting a surrogate pair in two.
+ *
+ * @param {String} text - The text.
+ * @param {Number} start - The index of the start of the span.
+ * @param {Number} end - The index just past the end of the span.
+ * @param {Number} maxChars - The largest number of characters per
+ *  piece.
+ *
+ * @return {Object[]} The { text, start, end } pieces.
+ */
+function splitSpanByChars(text, start, end, maxChars) {
+  const aryPieces = [];
+  let pieceStart = start;
+
+  while (pieceStart < end) {
+    let pieceEnd = Math.min(pieceStart + Math.max(1, maxChars), end);
+
+    // Keep the two halves of a surrogate pair together.
+    if (pieceEnd < end && /[\uD800-\uDBFF]/.test(text[pieceEnd - 1]))
+      pieceEnd += pieceEnd - pieceStart > 1 ? -1 : 1;
+
+    aryPieces.push({ text: text.substring(pieceStart, pieceEnd), start: pieceStart, end: pieceEnd });
+    pieceStart = pieceEnd;
+  }
+
+  return aryPieces;
+}
+
+/**
+ * Cuts a sentence into pieces of about the given fraction of its
+ *  size: at word boundaries, or, for a sentence without spaces
+ *  like most CJK text, between characters.
+ *
+ * @param {String} text - The text the sentence is in.
+ * @param {Object} sentence - The { text, start, end } sentence.
+ * @param {Number} fraction - The size of a piece, as a fraction
+ *  of the sentence.
+ *
+ * @return {Object[]} The { text, start, end } pieces.
+ */
+function splitSentenceToFit(text, sentence, fraction) {
+  const numWords = sentence.text.split(/\s+/).length;
+
+  if (numWords > 1)
+    return splitSpanByWords(text, sentence.start, sentence.end, Math.max(1, Math.floor(numWords * fraction)));
+
+  return splitSpanByChars(text, sentence.start, sentence.end, Math.floor(sentence.text.length * fraction));
+}
+
+/**
+ * Splits a text into sentences.  A sentence ends at a ".", "!" or
+ *  "?" (and any closing quotes or brackets after it) that is
+ *  followed by white space and then something other than a lower
+ *  case letter.  Periods in abbreviations, initials, decimals and
+ *  URLs do not end sentences.  Sentences longer than
+ *  MAX_SENTENCE_WORDS words, as in unpunctuated automatic
+ *  captions, are cut into pieces of that many words.
+ *
+ * @param {String} text - The text to split.
+ * @param {Number} [maxSentenceWords] - The largest number of
+ *  words per sentence.
+ *
+ * @return {Object[]} The { text, start, end } sentences, where
+ *  start and end are the indexes of the sentence in the text.
+ *  The white space between sentences is left out.
+ */
+function segmentSentences(text, maxSentenceWords = MAX_SENTENCE_WORDS) {
+  const errPrefix = '(segmentSentences) ';
+
+  if (typeof text !== 'string')
+    throw new Error(`${errPrefix}The text parameter is not a string.`);
+
+  const arySentences = [];
+  const endRegex = /[.!?]+["'”’)\]]*(?=\s|$)/g;
+  let sentenceStart = 0;
+  let match;
+
+  const addSentence = (start, end) => {
+    // Leave out the white space around the sentence.
+    while (start < end && /\s/.test(text[start]))
+      start++;
+    while (end > start && /\s/.test(text[end - 1]))
+      end--;
+
+    if (end > start)
+      arySentences.push(...splitSpanByWords(text, start, end, maxSentenceWords));
+  };
+
+  while ((match = endRegex.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const nextChar = text.substring(end).trimStart().charAt(0);
+
+    // A lower case word after the period means the sentence goes
+    //  on, as after "e.g." or an ellipsis.
+    if (nextChar.length > 0 && nextChar !== nextChar.toUpperCase())
+      continue;
+
+    if (match[0][0] === '.' && match[0].length === 1 && isAbbreviationPeriod(text, match.index))
+      continue;
+
+    addSentence(sentenceStart, end);
+    sentenceStart = end;
+  }
+
+  addSentence(sentenceStart, text.length);
+
+  return arySentences;
+}
+
+/**
+ * Counts the tokens in texts for the summarizer.  If the
+ *  summarizer session can measure its input, the counts are
+ *  measured, and each measurement calibrates the estimate the
+ *  counter falls back to.  Otherwise the counts are estimated.
+ */
+class TokenCounter {
+  /**
+   * @param {Object|null} [summarizerSession] - The summarizer
+   *  session to measure with, if any.
+   */
+  constructor(summarizerSession = null) {
+    /** @property {Object|null} - The summarizer session. */
+    this.summarizerSession = summarizerSession;
+
+    /** @property {Boolean} - TRUE if the session can measure its
+     *  input.  Set to FALSE if a measurement fails.
+     */
+    this.bCanMeasure =
+        !!summarizerSession && typeof summarizerSession.measureInputUsage === 'function';
+
+    /** @property {Number} - The characters per token of the
+     *  estimate, other than the CJK characters.
+     */
+    this.charsPerToken = DEFAULT_CHARS_PER_TOKEN;
+  }
+
+  /**
+   * Gets the input quota of the summarizer session.
+   *
+   * @return {Number|null} The quota in tokens, or NULL if the
+   *  session does not report it.
+   */
+  getInputQuota() {
+    const inputQuota = this.summarizerSession ? this.summarizerSession.inputQuota : undefined;
+
+    return typeof inputQuota === 'number' && isFinite(inputQuota) && inputQuota > 0 ? inputQuota : null;
+  }
+
+  /**
+   * Estimates the number of tokens in a text.
+   *
+   * @param {String} text - The text.
+   *
+   * @return {Number}
+   */
+  estimate(text) {
+    const numCjkChars = (text.match(CJK_CHARACTER_REGEX) || []).length;
+
+    return numCjkChars + Math.ceil((text.length - numCjkChars) / this.charsPerToken);
+  }
+
+  /**
+   * Counts the tokens in a text, measuring them if possible.
+   *
+   * @param {String} text - The text.
+   *
+   * @return {Promise<Number>}
+   */
+  async count_async(text) {
+    if (!this.bCanMeasure)
+      return this.estimate(text);
+
+    try {
+      const numTokens = await this.summarizerSession.measureInputUsage(text);
+
+      this.calibrate(text, numTokens);
+
+      return numTokens;
+    } catch (err) {
+      console.warn(`Unable to measure the summarizer input, estimating it from now on: ${err.message}`);
+      this.bCanMeasure = false;
+
+      return this.estimate(text);
+    }
+  }
+
+  /**
+   * Adjusts the estimate to a measured token count.
+   *
+   * @param {String} text - The measured text.
+   * @param {Number} numTokens - The measured number of tokens.
+   */
+  calibrate(text, numTokens) {
+    const numCjkChars = (text.match(CJK_CHARACTER_REGEX) || []).length;
+    const numOtherChars = text.length - numCjkChars;
+    const numOtherTokens = numTokens - numCjkChars;
+
+    if (numOtherChars < MIN_CALIBRATION_LENGTH || numOtherTokens <= 0)
+      return;
+
+    // Move halfway to the measured ratio, so one odd text does not
+    //  throw the estimate off.
+    this.charsPerToken = (this.charsPerToken + numOtherChars / numOtherTokens) / 2;
+  }
+}
+
+/**
+ * Works out how many tokens a chunk may have.
+ *
+ * @param {TokenCounter} tokenCounter - The token counter.
+ * @param {Number} contextTokens - The tokens of the context sent
+ *  with each chunk.
+ * @param {Number|null} [maxChunkWords] - The largest chunk the
+ *  user wants, in words, if any.
+ *
+ * @return {Number}
+ */
+function getMaxChunkTokens(tokenCounter, contextTokens, maxChunkWords = null) {
+  const inputQuota = tokenCounter.getInputQuota() || DEFAULT_INPUT_QUOTA_TOKENS;
+  let maxChunkTokens = Math.floor(inputQuota * INPUT_QUOTA_USABLE_FRACTION) - contextTokens;
+
+  // A word is about one and a third tokens.
+  if (Number.isInteger(maxChunkWords) && maxChunkWords > 0)
+    maxChunkTokens = Math.min(maxChunkTokens, Math.ceil(maxChunkWords * 4 / 3));
+
+  return Math.max(maxChunkTokens, 1);
+}
+
+/**
+ * Splits a text into chunks of whole sentences, each of at most
+ *  maxTokens tokens.  A sentence that does not fit in a chunk on
+ *  its own is cut at word boundaries, or between characters if it
+ *  has no spaces.  Chunks are packed using the estimate, then
+ *  measured, and shrunk if the measurement shows they are too big.
+ *
+ * @param {String} text - The text to split.
+ * @param {Object} options - The chunking options.
+ * @param {TokenCounter} options.tokenCounter - The token counter.
+ * @param {Number} options.maxTokens - The largest number of tokens
+ *  per chunk.
+ * @param {Number} [options.overlapSentences] - The number of
+ *  sentences at the end of a chunk that the next chunk repeats.
+ *
+ * @return {Promise<Object[]>} The { text, start, end } chunks,
+ *  where start and end are the indexes of the chunk in the text.
+ *  Overlapping chunks share part of their range.
+ */
+async function chunkifyText_async(text, options) {
+  const errPrefix = '(chunkifyText_async) ';
+
+  const tokenCounter = options.tokenCounter;
+  const maxTokens = options.maxTokens;
+  const overlapSentences = Math.max(0, options.overlapSentences || 0);
+
+  if (!(tokenCounter instanceof TokenCounter))
+    throw new Error(`${errPrefix}The tokenCounter option is not a TokenCounter object.`);
+  if (!Number.isInteger(maxTokens) || maxTokens < 1)
+    throw new Error(`${errPrefix}The maxTokens option must be an integer greater than zero.`);
+
+  // Cut the sentences that are too big for a chunk of their own.
+  const arySentences = [];
+
+  segmentSentences(text).forEach(sentence => {
+    const numTokens = tokenCounter.estimate(sentence.text);
+
+    if (numTokens <= maxTokens) {
+      arySentences.push(sentence);
+    } else {
+      const numWords = sentence.text.split(/\s+/).length;
+      const maxWords = Math.max(1, Math.floor(numWords * maxTokens / numTokens));
+
+      arySentences.push(...splitSpanByWords(text, sentence.start, sentence.end, maxWords));
+    }
+  });
+
+  const aryChunks = [];
+  let firstNdx = 0;
+
+  while (firstNdx < arySentences.length) {
+    // Pack sentences while the estimate fits.
+    let lastNdx = firstNdx;
+    let numTokens = tokenCounter.estimate(arySentences[firstNdx].text);
+
+    while (lastNdx + 1 < arySentences.length) {
+      const numSentenceTokens = tokenCounter.estimate(arySentences[lastNdx + 1].text) + 1;
+
+      if (numTokens + numSentenceTokens > maxTokens)
+        break;
+
+      numTokens += numSentenceTokens;
+      lastNdx++;
+    }
+
+    // Measure the chunk, and give back sentences until it fits.
+    let chunkText = text.substring(arySentences[firstNdx].start, arySentences[lastNdx].end);
+    let numChunkTokens = await tokenCounter.count_async(chunkText);
+
+    while (lastNdx > firstNdx && numChunkTokens > maxTokens) {
+      lastNdx--;
+      chunkText = text.substring(arySentences[firstNdx].start, arySentences[lastNdx].end);
+      numChunkTokens = await tokenCounter.count_async(chunkText);
+    }
+
+    // The estimate can run low, as for CJK text or emoji, so a
+    //  single sentence may still measure too big.  Cut it in
+    //  proportion and pack the pieces again.  A piece that cannot
+    //  be cut any further is kept as it is.
+    if (numChunkTokens > maxTokens) {
+      const arySentencePieces = splitSentenceToFit(text, arySentences[firstNdx], maxTokens / numChunkTokens);
+
+      if (arySentencePieces.length > 1) {
+        arySentences.splice(firstNdx, 1, ...arySentencePieces);
+        continue;
+      }
+    }
+
+    aryChunks.push({ text: chunkText, start: arySentences[firstNdx].start, end: arySentences[lastNdx].end });
+
+    if (lastNdx + 1 >= arySentences.length)
+      break;
+
+    // The next chunk starts with the last few sentences of this
+    //  one, but always moves forward.
+    firstNdx = Math.max(firstNdx + 1, lastNdx + 1 - overlapSentences);
+  }
+
+  return aryChunks;
+}
+
+/**
+ * Cuts a text down to the whole sentences at its start that fit in
+ *  maxTokens tokens.  A text that fits already is returned as it
+ *  is.
+ *
+ * @param {String} text - The text.
+ * @param {Object} options - The { tokenCounter, maxTokens }
+ *  options, as for chunkifyText_async().
+ *
+ * @return {Promise<String>}
+ */
+async function fitTextToTokens_async(text, options) {
+  const errPrefix = `(fitTextToTokens_async) `;
+
+  if (!options || !(options.tokenCounter instanceof TokenCounter))
+    throw new Error(errPrefix + `The options parameter does not have a TokenCounter.`);
+
+  if (await options.tokenCounter.count_async(text) <= options.maxTokens)
+    return text;
+
+  const aryChunks = await chunkifyText_async(text, { tokenCounter: options.tokenCounter, maxTokens: options.maxTokens });
+
+  return aryChunks.length > 0 ? aryChunks[0].text : '';
+}
+
+/**
+ * Splits a list of summaries into runs of consecutive summaries
+ *  that can each be summarized in one go, to build the next level
+ *  of a summary tree.  Summaries are only grouped when their
+ *  combined text fits in maxTokens tokens, so a summary that does
+ *  not fit with its neighbours, like one that is over maxTokens
+ *  by itself, is left in a group of its own.  If every group has
+ *  a single summary, the level cannot get smaller, and the caller
+ *  has to shorten the summaries first.
+ *
+ * @param {String[]} aryTexts - The texts of the summaries, in
+ *  order.
+ * @param {Object} options - The { tokenCounter, maxTokens }
+ *  options, as for chunkifyText_async().
+ *
+ * @return {Promise<Object[]>} The { firstNdx, lastNdx } groups, as
+ *  the indexes of their first and last summaries.
+ */
+async function groupTextsForReduction_async(aryTexts, options) {
+  const errPrefix = `(groupTextsForReduction_async) `;
+
+  if (!Array.isArray(aryTexts))
+    throw new Error(errPrefix + `The aryTexts parameter is not an array.`);
+  if (!options || !(options.tokenCounter instanceof TokenCounter))
+    throw new Error(errPrefix + `The options parameter does not have a TokenCounter.`);
+
+  const tokenCounter = options.tokenCounter;
+  const maxTokens = options.maxTokens;
+  const aryGroups = [];
+  let firstNdx = 0;
+
+  while (firstNdx < aryTexts.length) {
+    let lastNdx = firstNdx;
+    let numTokens = tokenCounter.estimate(aryTexts[firstNdx]);
+
+    while (lastNdx + 1 < aryTexts.length) {
+      const numTextTokens = tokenCounter.estimate(aryTexts[lastNdx + 1]) + 1;
+
+      if (numTokens + numTextTokens > maxTokens)
+        break;
+
+      numTokens += numTextTokens;
+      lastNdx++;
+    }
+
+    // Measure the group, and give back summaries until it fits.
+    while (lastNdx > firstNdx
+        && await tokenCounter.count_async(aryTexts.slice(firstNdx, lastNdx + 1).join('\n')) > maxTokens)
+      lastNdx--;
+
+    aryGroups.push({ firstNdx: firstNdx, lastNdx: lastNdx });
+    firstNdx = lastNdx + 1;
+  }
+
+  return aryGroups;
+}
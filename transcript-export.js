@@ -0,0 +1,269 @@
+// This file contains the routines that turn a grabbed YouTube
+//  transcript into downloadable files: SRT and WebVTT subtitles,
+//  and a cleaned up plain text transcript with paragraphs.  They
+//  work on plain transcript line objects, with transcriptText,
+//  timestampString and offsetInSeconds fields, as they arrive
+//  from the content script.
+//
+// The video details (title, channel, publish date and so on) are
+//  passed as a "video info" object: the video metadata fields of
+//  the grabbed transcript, plus a videoUrl field.
+
+// How long the last cue stays on screen when the length of the
+//  video is unknown, in seconds.
+const DEFAULT_LAST_CUE_SECONDS = 5;
+
+// A pause of at least this many seconds between the starts of two
+//  lines, after the end of a sentence, starts a new paragraph in
+//  the plain text transcript.
+const PARAGRAPH_PAUSE_SECONDS = 6;
+
+// Paragraphs are ended at the next sentence end once they are
+//  this long, and at the next line once they are twice as long,
+//  which handles automatic captions that have no punctuation.
+const PARAGRAPH_TARGET_LENGTH = 600;
+
+/**
+ * Formats an offset in seconds as a video timestamp, like
+ *  "4:05" or "1:02:03".
+ *
+ * @param {Number} totalSeconds - The offset in seconds.
+ *
+ * @return {String}
+ */
+function formatTimestamp(totalSeconds) {
+  const seconds = Math.floor(totalSeconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secondsPart = String(seconds % 60).padStart(2, '0');
+
+  return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secondsPart}`
+      : `${minutes}:${secondsPart}`;
+}
+
+/**
+ * Builds the lines that describe a video: its title, channel,
+ *  publish date, length and URL.  Details that are not known are
+ *  left out.
+ *
+ * @param {Object|null} videoInfo - The video info, or NULL.
+ *
+ * @return {String[]}
+ */
+function buildVideoMetadataLines(videoInfo) {
+  if (!videoInfo)
+    return [];
+
+  const aryLines = [];
+
+  if (videoInfo.videoTitle)
+    aryLines.push(`Title: ${videoInfo.videoTitle}`);
+  if (videoInfo.channelName)
+    aryLines.push(`Channel: ${videoInfo.channelName}`);
+  if (videoInfo.publishDate)
+    aryLines.push(`Published: ${videoInfo.publishDate}`);
+  if (typeof videoInfo.videoDurationSeconds === 'number')
+    aryLines.push(`Duration: ${formatTimestamp(videoInfo.videoDurationSeconds)}`);
+  if (videoInfo.videoUrl)
+    aryLines.push(`URL: ${videoInfo.videoUrl}`);
+
+  return aryLines;
+}
+
+/**
+ * Builds the chapter list of a video, one "timestamp title" line
+ *  per chapter.
+ *
+ * @param {Object|null} videoInfo - The video info, or NULL.
+ *
+ * @return {String[]} The lines, or an empty array if the video
+ *  has no chapters.
+ */
+function buildChapterLines(videoInfo) {
+  if (!videoInfo || !Array.isArray(videoInfo.aryChapters))
+    return [];
+
+  return videoInfo.aryChapters.map(chapter => `${formatTimestamp(chapter.startSeconds)} ${chapter.title}`);
+}
+
+/**
+ * Removes the parts of a transcript line that are not speech,
+ *  like "[Music]", and collapses its whitespace.
+ *
+ * @param {String} transcriptText - The text of a transcript line.
+ *
+ * @return {String}
+ */
+function cleanTranscriptText(transcriptText) {
+  return transcriptText.replace(/\[.*?\]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds the subtitle cues for a transcript.  Each cue ends where
+ *  the next line starts.  The last cue ends at the end of the
+ *  video, if its length is known.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript lines.
+ * @param {Number|null} videoDurationSeconds - The length of the
+ *  video in seconds, or NULL if unknown.
+ *
+ * @return {Object[]} The { startSeconds, endSeconds, text } cues.
+ */
+function buildTranscriptCues(aryTranscriptLines, videoDurationSeconds) {
+  const aryLines = aryTranscriptLines.filter(transcriptLine => transcriptLine.transcriptText.trim().length > 0);
+
+  return aryLines.map((transcriptLine, ndx) => {
+    const startSeconds = transcriptLine.offsetInSeconds;
+    let endSeconds;
+
+    if (ndx < aryLines.length - 1)
+      endSeconds = aryLines[ndx + 1].offsetInSeconds;
+    else if (typeof videoDurationSeconds === 'number' && isFinite(videoDurationSeconds))
+      endSeconds = videoDurationSeconds;
+
+    // Lines that share a timestamp, and a video length that is
+    //  shorter than the last offset, would give empty cues.
+    if (typeof endSeconds !== 'number' || endSeconds <= startSeconds)
+      endSeconds = startSeconds + (ndx < aryLines.length - 1 ? 1 : DEFAULT_LAST_CUE_SECONDS);
+
+    return {
+      startSeconds: startSeconds,
+      endSeconds: endSeconds,
+      text: transcriptLine.transcriptText.trim()
+    };
+  });
+}
+
+/**
+ * Formats an offset in seconds as a subtitle timestamp, like
+ *  "00:01:02,500" for SRT or "00:01:02.500" for WebVTT.
+ *
+ * @param {Number} totalSeconds - The offset in seconds.
+ * @param {String} millisecondsSeparator - ',' for SRT, '.' for
+ *  WebVTT.
+ *
+ * @return {String}
+ */
+function formatSubtitleTimestamp(totalSeconds, millisecondsSeparator) {
+  const totalMilliseconds = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(totalMilliseconds / 3600000);
+  const minutes = Math.floor((totalMilliseconds % 3600000) / 60000);
+  const seconds = Math.floor((totalMilliseconds % 60000) / 1000);
+  const milliseconds = totalMilliseconds % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
+      + `${millisecondsSeparator}${String(milliseconds).padStart(3, '0')}`;
+}
+
+/**
+ * Builds an SRT subtitle file from a transcript.  The SRT format
+ *  has no place for comments, so it does not include the video
+ *  details.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript lines.
+ * @param {Number|null} videoDurationSeconds - The length of the
+ *  video in seconds, or NULL if unknown.
+ *
+ * @return {String}
+ */
+function buildSrtTranscript(aryTranscriptLines, videoDurationSeconds) {
+  return buildTranscriptCues(aryTranscriptLines, videoDurationSeconds).map((cue, ndx) => [
+    String(ndx + 1),
+    `${formatSubtitleTimestamp(cue.startSeconds, ',')} --> ${formatSubtitleTimestamp(cue.endSeconds, ',')}`,
+    // A blank line would end the cue early.
+    cue.text.replace(/\n\s*\n/g, '\n')
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Builds a WebVTT subtitle file from a transcript.  The video
+ *  details and chapters go in a NOTE block after the header.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript lines.
+ * @param {Number|null} videoDurationSeconds - The length of the
+ *  video in seconds, or NULL if unknown.
+ * @param {Object|null} [videoInfo] - The video info.
+ *
+ * @return {String}
+ */
+function buildWebVttTranscript(aryTranscriptLines, videoDurationSeconds, videoInfo = null) {
+  const aryCues = buildTranscriptCues(aryTranscriptLines, videoDurationSeconds).map(cue => [
+    `${formatSubtitleTimestamp(cue.startSeconds, '.')} --> ${formatSubtitleTimestamp(cue.endSeconds, '.')}`,
+    // Cue text is markup, so the special characters are escaped.
+    cue.text
+        .replace(/\n\s*\n/g, '\n')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+  ].join('\n'));
+
+  const aryNoteLines = buildVideoMetadataLines(videoInfo);
+  const aryChapterLines = buildChapterLines(videoInfo);
+
+  if (aryChapterLines.length > 0)
+    aryNoteLines.push('Chapters:', ...aryChapterLines);
+
+  // A note may not contain a blank line or "-->".
+  const aryBlocks = aryNoteLines.length > 0
+      ? ['WEBVTT', ['NOTE', ...aryNoteLines].join('\n').replace(/-->/g, '->'), ...aryCues]
+      : ['WEBVTT', ...aryCues];
+
+  return aryBlocks.join('\n\n') + '\n';
+}
+
+/**
+ * Builds a cleaned up plain text transcript, without timestamps
+ *  or non-speech markers, broken into paragraphs at pauses and
+ *  sentence ends.  The video details, chapters and description
+ *  come first, if known.
+ *
+ * @param {Object[]} aryTranscriptLines - The transcript lines.
+ * @param {Object|null} [videoInfo] - The video info.
+ *
+ * @return {String}
+ */
+function buildPlainTextTranscript(aryTranscriptLines, videoInfo = null) {
+  const aryParagraphs = [];
+  let paragraph = '';
+  let previousOffset = null;
+
+  aryTranscriptLines.forEach(transcriptLine => {
+    const text = cleanTranscriptText(transcriptLine.transcriptText);
+
+    if (text.length === 0)
+      return;
+
+    if (paragraph.length > 0) {
+      const bEndsSentence = /[.!?]["')\]]*$/.test(paragraph);
+      const bPaused = previousOffset !== null && transcriptLine.offsetInSeconds - previousOffset >= PARAGRAPH_PAUSE_SECONDS;
+
+      if ((bEndsSentence && (bPaused || paragraph.length >= PARAGRAPH_TARGET_LENGTH))
+          || paragraph.length >= PARAGRAPH_TARGET_LENGTH * 2) {
+        aryParagraphs.push(paragraph);
+        paragraph = '';
+      }
+    }
+
+    paragraph += (paragraph.length > 0 ? ' ' : '') + text;
+    previousOffset = transcriptLine.offsetInSeconds;
+  });
+
+  if (paragraph.length > 0)
+    aryParagraphs.push(paragraph);
+
+  const aryHeaderBlocks = [];
+  const aryMetadataLines = buildVideoMetadataLines(videoInfo);
+  const aryChapterLines = buildChapterLines(videoInfo);
+
+  if (aryMetadataLines.length > 0)
+    aryHeaderBlocks.push(aryMetadataLines.join('\n'));
+  if (aryChapterLines.length > 0)
+    aryHeaderBlocks.push(['Chapters:', ...aryChapterLines].join('\n'));
+  if (videoInfo && videoInfo.videoDescription)
+    aryHeaderBlocks.push(`Description:\n${videoInfo.videoDescription.trim()}`);
+  if (aryHeaderBlocks.length > 0)
+    aryHeaderBlocks.push('Transcript:');
+
+  return [...aryHeaderBlocks, ...aryParagraphs].join('\n\n') + '\n';
+}
@@ -0,0 +1,201 @@
+// This file contains the routines that read the details of a
+//  YouTube video from its watch page: the title, channel name,
+//  length, publish date, description and chapters.  They are
+//  stored on the TranscriptGrabbed object with the transcript, so
+//  the summaries and exports can say which video they belong to.
+//
+// It is loaded as a content script after caption-tracks.js, whose
+//  player response and timestamp functions it uses, and before
+//  content.js.  The parsing functions are pure, so they can be run
+//  against saved player responses and descriptions.
+
+// YouTube only shows chapters when there are at least this many
+//  timestamps in the description, the first one at 0:00.
+const MIN_DESCRIPTION_CHAPTERS = 3;
+
+// A description line that starts a chapter, like "0:00 Intro",
+//  "1:02:03 - Wrap up" or "(12:30) Questions".
+const CHAPTER_LINE_REGEX = /^\s*[-*•▶]?\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|.]?\s*(.*?)\s*$/;
+
+/**
+ * Converts a timestamp like "4:05" or "1:02:03" to seconds.
+ *
+ * @param {String} timestampString - The timestamp.
+ *
+ * @return {Number|null} The offset in seconds, or NULL if the
+ *  timestamp is invalid.
+ */
+function parseTimestampToSeconds(timestampString) {
+  const aryParts = String(timestampString).trim().split(':');
+
+  if (aryParts.length < 2 || aryParts.length > 3 || !aryParts.every(part => /^\d+$/.test(part)))
+    return null;
+
+  return aryParts.reduce((totalSeconds, part) => totalSeconds * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Reads the chapters from a video description, the same way
+ *  YouTube does: one chapter per line that starts with a
+ *  timestamp, the first at 0:00, in ascending order.
+ *
+ * @param {String} description - The video description.
+ *
+ * @return {Object[]} The { title, startSeconds, timestampString }
+ *  chapters, or an empty array if the description has no valid
+ *  list of chapters.
+ */
+function parseChaptersFromDescription(description) {
+  if (typeof description !== 'string' || description.length === 0)
+    return [];
+
+  const aryChapters = [];
+
+  description.split(/\r?\n/).forEach(line => {
+    const match = CHAPTER_LINE_REGEX.exec(line);
+
+    if (!match)
+      return;
+
+    const startSeconds = parseTimestampToSeconds(match[1]);
+
+    if (startSeconds === null)
+      return;
+
+    aryChapters.push({
+      title: match[2].length > 0 ? match[2] : match[1],
+      startSeconds: startSeconds,
+      timestampString: formatTranscriptTimestamp(startSeconds)
+    });
+  });
+
+  const bAscending = aryChapters.every((chapter, ndx) =>
+      ndx === 0 || chapter.startSeconds > aryChapters[ndx - 1].startSeconds);
+
+  if (aryChapters.length < MIN_DESCRIPTION_CHAPTERS || aryChapters[0].startSeconds !== 0 || !bAscending)
+    return [];
+
+  return aryChapters;
+}
+
+/**
+ * Reads the chapters from the chapter markers on the watch page.
+ *  This finds the chapters YouTube generates automatically, which
+ *  are not listed in the description.  The markers are only in
+ *  the page once the player has loaded them.
+ *
+ * @return {Object[]} The { title, startSeconds, timestampString }
+ *  chapters, or an empty array if the page has no chapter
+ *  markers.
+ */
+function getChaptersFromPage() {
+  const aryChapters = [];
+
+  document.querySelectorAll('ytd-macro-markers-list-item-renderer').forEach(markerElement => {
+    const titleElement = markerElement.querySelector('#details h4') || markerElement.querySelector('h4');
+    const timeElement = markerElement.querySelector('#time');
+    const startSeconds = timeElement ? parseTimestampToSeconds(timeElement.textContent) : null;
+
+    if (titleElement && startSeconds !== null) {
+      aryChapters.push({
+        title: titleElement.textContent.trim(),
+        startSeconds: startSeconds,
+        timestampString: formatTranscriptTimestamp(startSeconds)
+      });
+    }
+  });
+
+  // The marker list holds other kinds of markers too, like key
+  //  moments, so only an ordered list from 0:00 is used.
+  const bAscending = aryChapters.every((chapter, ndx) =>
+      ndx === 0 || chapter.startSeconds > aryChapters[ndx - 1].startSeconds);
+
+  return aryChapters.length > 1 && aryChapters[0].startSeconds === 0 && bAscending ? aryChapters : [];
+}
+
+/**
+ * Builds an empty video metadata object.
+ *
+ * @return {Object}
+ */
+function buildEmptyVideoMetadata() {
+  return {
+    videoTitle: '',
+    channelName: '',
+    videoDurationSeconds: null,
+    publishDate: null,
+    videoDescription: '',
+    aryChapters: []
+  };
+}
+
+/**
+ * Gets the video metadata from a player response object.
+ *
+ * @param {Object} playerResponse - The player response object.
+ *
+ * @return {Object} The { videoTitle, channelName,
+ *  videoDurationSeconds, publishDate, videoDescription,
+ *  aryChapters } metadata.  Missing details are empty strings,
+ *  NULL, or an empty array.
+ */
+function getVideoMetadataFromPlayerResponse(playerResponse) {
+  const metadata = buildEmptyVideoMetadata();
+  const videoDetails = (playerResponse && playerResponse.videoDetails) || {};
+  const microformat =
+      (playerResponse && playerResponse.microformat && playerResponse.microformat.playerMicroformatRenderer) || {};
+
+  metadata.videoTitle = videoDetails.title || getYouTubeTextObjectText(microformat.title);
+  metadata.channelName = videoDetails.author || microformat.ownerChannelName || '';
+  metadata.videoDescription = videoDetails.shortDescription || getYouTubeTextObjectText(microformat.description);
+
+  const lengthSeconds = parseInt(videoDetails.lengthSeconds || microformat.lengthSeconds, 10);
+
+  if (lengthSeconds > 0)
+    metadata.videoDurationSeconds = lengthSeconds;
+
+  // The publish date is either a plain date or a full timestamp.
+  const publishDate = microformat.publishDate || microformat.uploadDate;
+
+  if (typeof publishDate === 'string' && /^\d{4}-\d{2}-\d{2}/.test(publishDate))
+    metadata.publishDate = publishDate.substring(0, 10);
+
+  metadata.aryChapters = parseChaptersFromDescription(metadata.videoDescription);
+
+  return metadata;
+}
+
+/**
+ * Gets the video metadata from the elements of the watch page.
+ *  This is used when the player response is not available, and
+ *  cannot find the publish date.
+ *
+ * @return {Object} The metadata, in the same form as
+ *  getVideoMetadataFromPlayerResponse() returns.
+ */
+function getVideoMetadataFromPage() {
+  const metadata = buildEmptyVideoMetadata();
+
+  const getElementText = (selector) => {
+    const element = document.querySelector(selector);
+
+    return element ? element.textContent.trim() : '';
+  };
+
+  metadata.videoTitle =
+      getElementText('h1.ytd-watch-metadata')
+      || document.title.replace(/ - YouTube$/, '');
+  metadata.channelName = getElementText('ytd-video-owner-renderer #channel-name a');
+  metadata.videoDescription =
+      getElementText('#description-inline-expander yt-attributed-string')
+      || getElementText('#description-inline-expander');
+
+  const videoElement = document.querySelector('#movie_player video') || document.querySelector('video');
+
+  if (videoElement && isFinite(videoElement.duration) && videoElement.duration > 0)
+    metadata.videoDurationSeconds = videoElement.duration;
+
+  metadata.aryChapters = parseChaptersFromDescription(metadata.videoDescription);
+
+  return metadata;
+}
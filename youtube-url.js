@@ -0,0 +1,116 @@
+// This file contains the YouTube URL classifier, which tells the
+//  pages that show a single video apart from the rest of YouTube
+//  and finds the ID of the video.  It is shared by the background
+//  script (through importScripts()), the content script and the
+//  tab extractor popup, so they all agree on which pages get the
+//  summarizer popup.  Non-video YouTube pages, like the home page,
+//  channels and search results, get the regular tab extractor.
+
+// The kinds of YouTube page.
+const YOUTUBE_PAGE_KIND_WATCH = 'watch';
+const YOUTUBE_PAGE_KIND_SHORTS = 'shorts';
+const YOUTUBE_PAGE_KIND_LIVE = 'live';
+const YOUTUBE_PAGE_KIND_EMBED = 'embed';
+const YOUTUBE_PAGE_KIND_SHORT_LINK = 'short-link';
+const YOUTUBE_PAGE_KIND_OTHER = 'other';
+
+// The host names of YouTube, including the mobile site, YouTube
+//  Music and the privacy-enhanced embed host.
+const YOUTUBE_HOSTNAMES = [
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+];
+
+// The host name of YouTube's short links, like youtu.be/ID.
+const YOUTUBE_SHORT_LINK_HOSTNAME = 'youtu.be';
+
+// YouTube video IDs are 11 characters long.
+const YOUTUBE_VIDEO_ID_REGEX = /^[A-Za-z0-9_-]{11}$/;
+
+// The paths that have the video ID as their second part, like
+//  /shorts/ID, and the kind of page each one is.
+const YOUTUBE_VIDEO_PATH_KINDS = {
+  shorts: YOUTUBE_PAGE_KIND_SHORTS,
+  live: YOUTUBE_PAGE_KIND_LIVE,
+  embed: YOUTUBE_PAGE_KIND_EMBED,
+  v: YOUTUBE_PAGE_KIND_EMBED
+};
+
+/**
+ * Classifies a URL as a YouTube video page, another YouTube page,
+ *  or not YouTube at all.
+ *
+ * @param {String} url - The URL to classify.
+ *
+ * @return {{bIsYouTube: Boolean, bIsVideoPage: Boolean, pageKind: String|null, videoId: String|null}}
+ *  The page kind is one of the YOUTUBE_PAGE_KIND_ constants, or
+ *  NULL if the URL is not a YouTube URL.  The video ID is NULL
+ *  unless the URL is a video page.
+ */
+function classifyYouTubeUrl(url) {
+  const result = { bIsYouTube: false, bIsVideoPage: false, pageKind: null, videoId: null };
+
+  if (typeof url !== 'string' || url.trim().length === 0)
+    return result;
+
+  let urlObj;
+
+  try {
+    urlObj = new URL(url.trim());
+  } catch (err) {
+    return result;
+  }
+
+  if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:')
+    return result;
+
+  const hostname = urlObj.hostname.toLowerCase();
+  const aryPathParts = urlObj.pathname.split('/').filter(part => part.length > 0);
+  let pageKind = YOUTUBE_PAGE_KIND_OTHER;
+  let videoId = null;
+
+  if (hostname === YOUTUBE_SHORT_LINK_HOSTNAME) {
+    pageKind = YOUTUBE_PAGE_KIND_SHORT_LINK;
+    videoId = aryPathParts[0] || null;
+  } else if (YOUTUBE_HOSTNAMES.includes(hostname)) {
+    if (aryPathParts[0] === 'watch') {
+      pageKind = YOUTUBE_PAGE_KIND_WATCH;
+      videoId = urlObj.searchParams.get('v');
+    } else if (YOUTUBE_VIDEO_PATH_KINDS.hasOwnProperty(aryPathParts[0])) {
+      pageKind = YOUTUBE_VIDEO_PATH_KINDS[aryPathParts[0]];
+      videoId = aryPathParts[1] || null;
+    }
+  } else {
+    return result;
+  }
+
+  result.bIsYouTube = true;
+
+  if (videoId && YOUTUBE_VIDEO_ID_REGEX.test(videoId.trim())) {
+    result.bIsVideoPage = true;
+    result.pageKind = pageKind;
+    result.videoId = videoId.trim();
+  } else {
+    // A /live/ or /shorts/ path without a valid video ID, like a
+    //  channel's live tab, is not a video page.
+    result.pageKind = YOUTUBE_PAGE_KIND_OTHER;
+  }
+
+  return result;
+}
+
+/**
+ * Returns TRUE if the URL is a YouTube page that shows a single
+ *  video, which gets the summarizer popup.
+ *
+ * @param {String} url - The URL to check.
+ *
+ * @return {Boolean}
+ */
+function isYouTubeVideoUrl(url) {
+  return classifyYouTubeUrl(url).bIsVideoPage;
+}
@@ -0,0 +1,213 @@
+// This file contains a small ZIP archive writer, used by the tab
+//  extractor popup to bundle the per-tab export files into one
+//  download.  Files are compressed with the browser's built-in
+//  "deflate-raw" CompressionStream when it is available, and
+//  stored uncompressed otherwise.
+
+const ZIP_METHOD_STORE = 0;
+const ZIP_METHOD_DEFLATE = 8;
+
+// General purpose flag bit 11: the file names are UTF-8 encoded.
+const ZIP_FLAG_UTF8_NAMES = 0x0800;
+
+const ZIP_VERSION_NEEDED = 20;
+
+/**
+ * Builds the lookup table for the CRC-32 checksum.
+ *
+ * @return {Uint32Array}
+ */
+function buildCrc32Table() {
+  const table = new Uint32Array(256);
+
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+
+    for (let k = 0; k < 8; k++)
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+
+    table[n] = c >>> 0;
+  }
+
+  return table;
+}
+
+const ZIP_CRC32_TABLE = buildCrc32Table();
+
+/**
+ * Computes the CRC-32 checksum of a byte array.
+ *
+ * @param {Uint8Array} data - The bytes to checksum.
+ *
+ * @return {Number}
+ */
+function computeCrc32(data) {
+  let crc = 0xFFFFFFFF;
+
+  for (let i = 0; i < data.length; i++)
+    crc = ZIP_CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compresses a byte array with raw DEFLATE, if the browser
+ *  supports it.
+ *
+ * @param {Uint8Array} data - The bytes to compress.
+ *
+ * @return {Promise<Uint8Array|null>} The compressed bytes, or NULL
+ *  if compression is not available.
+ */
+async function deflateRawBytes(data) {
+  if (typeof CompressionStream === 'undefined')
+    return null;
+
+  let compressionStream;
+
+  try {
+    compressionStream = new CompressionStream('deflate-raw');
+  } catch (err) {
+    // Older browsers only support "gzip" and "deflate".
+    return null;
+  }
+
+  const compressedStream = new Blob([data]).stream().pipeThrough(compressionStream);
+
+  return new Uint8Array(await new Response(compressedStream).arrayBuffer());
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used in
+ *  ZIP headers.
+ *
+ * @param {Date} date - The date to convert.
+ *
+ * @return {{time: Number, date: Number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Class object that assembles a ZIP archive in memory.
+ */
+class ZipWriter {
+  /**
+   * Initializes a new, empty ZIP archive.
+   */
+  constructor() {
+    /** @property {Object[]} - The files added so far, with their
+     *   name, data, and modification date.
+     */
+    this.aryEntries = [];
+  }
+
+  /**
+   * Adds a file to the archive.
+   *
+   * @param {String} filename - The path of the file inside the
+   *  archive.
+   * @param {Blob|String|Uint8Array} content - The file content.
+   * @param {Date} [modifiedDate] - The modification date of the
+   *  file.  Defaults to now.
+   */
+  addFile(filename, content, modifiedDate = new Date()) {
+    const methodName = 'ZipWriter' + '::' + `addFile`;
+    const errPrefix = '(' + methodName + ') ';
+
+    if (typeof filename !== 'string' || filename.trim().length === 0)
+      throw new Error(`${errPrefix}The filename parameter is empty or invalid.`);
+
+    if (this.aryEntries.some(entry => entry.filename === filename))
+      throw new Error(`${errPrefix}The archive already has a file named: ${filename}`);
+
+    this.aryEntries.push({ filename: filename, content: content, modifiedDate: modifiedDate });
+  }
+
+  /**
+   * Builds the archive.
+   *
+   * @return {Promise<Blob>} The ZIP archive.
+   */
+  async toBlob() {
+    const textEncoder = new TextEncoder();
+    const aryParts = [];
+    const aryCentralDirectoryParts = [];
+    let offset = 0;
+
+    for (const entry of this.aryEntries) {
+      const data = entry.content instanceof Uint8Array
+          ? entry.content
+          : new Uint8Array(await new Blob([entry.content]).arrayBuffer());
+
+      const nameBytes = textEncoder.encode(entry.filename);
+      const crc32 = computeCrc32(data);
+      const dosDateTime = toDosDateTime(entry.modifiedDate);
+
+      // Only keep the compressed data if it is actually smaller.
+      let method = ZIP_METHOD_STORE;
+      let storedData = data;
+      const compressedData = await deflateRawBytes(data);
+
+      if (compressedData && compressedData.length < data.length) {
+        method = ZIP_METHOD_DEFLATE;
+        storedData = compressedData;
+      }
+
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, 0x04034b50, true);
+      localHeader.setUint16(4, ZIP_VERSION_NEEDED, true);
+      localHeader.setUint16(6, ZIP_FLAG_UTF8_NAMES, true);
+      localHeader.setUint16(8, method, true);
+      localHeader.setUint16(10, dosDateTime.time, true);
+      localHeader.setUint16(12, dosDateTime.date, true);
+      localHeader.setUint32(14, crc32, true);
+      localHeader.setUint32(18, storedData.length, true);
+      localHeader.setUint32(22, data.length, true);
+      localHeader.setUint16(26, nameBytes.length, true);
+      localHeader.setUint16(28, 0, true);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, 0x02014b50, true);
+      centralHeader.setUint16(4, ZIP_VERSION_NEEDED, true);
+      centralHeader.setUint16(6, ZIP_VERSION_NEEDED, true);
+      centralHeader.setUint16(8, ZIP_FLAG_UTF8_NAMES, true);
+      centralHeader.setUint16(10, method, true);
+      centralHeader.setUint16(12, dosDateTime.time, true);
+      centralHeader.setUint16(14, dosDateTime.date, true);
+      centralHeader.setUint32(16, crc32, true);
+      centralHeader.setUint32(20, storedData.length, true);
+      centralHeader.setUint32(24, data.length, true);
+      centralHeader.setUint16(28, nameBytes.length, true);
+      centralHeader.setUint16(30, 0, true);
+      centralHeader.setUint16(32, 0, true);
+      centralHeader.setUint16(34, 0, true);
+      centralHeader.setUint16(36, 0, true);
+      centralHeader.setUint32(38, 0, true);
+      centralHeader.setUint32(42, offset, true);
+
+      aryParts.push(localHeader, nameBytes, storedData);
+      aryCentralDirectoryParts.push(centralHeader, nameBytes);
+
+      offset += 30 + nameBytes.length + storedData.length;
+    }
+
+    const centralDirectorySize = aryCentralDirectoryParts.reduce((total, part) => total + part.byteLength, 0);
+
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054b50, true);
+    endRecord.setUint16(4, 0, true);
+    endRecord.setUint16(6, 0, true);
+    endRecord.setUint16(8, this.aryEntries.length, true);
+    endRecord.setUint16(10, this.aryEntries.length, true);
+    endRecord.setUint32(12, centralDirectorySize, true);
+    endRecord.setUint32(16, offset, true);
+    endRecord.setUint16(20, 0, true);
+
+    return new Blob([...aryParts, ...aryCentralDirectoryParts, endRecord], { type: 'application/zip' });
+  }
+}